@@ -12,16 +12,40 @@
  *   node a11y.test.js --url https://example.com
  *   node a11y.test.js --url https://example.com --password mypass
  *   node a11y.test.js --config test-config.json
+ *   node a11y.test.js trend
+ *   node a11y.test.js compare https://www.example.com https://staging.example.com
  *
  * Options:
  *   --url           URL to test (required if no config file)
  *   --password      Password for password-protected sites
+ *   --dir           Test every HTML file in a local folder (built-in server)
+ *   --file          Test local HTML file(s)
  *   --output        Output directory for reports (default: ./a11y-reports)
  *   --name          Test name for report files (default: derived from URL)
- *   --browser       Browser to use: chromium, firefox, webkit (default: chromium)
- *   --config        JSON config file with test scenarios
+ *   --browser       Browser(s) to use: chromium, firefox, webkit, comma-separated (default: chromium)
+ *   --config        Config file with test scenarios (.json, .yaml, .yml, .js, .mjs)
  *   --headless      Run in headless mode (default: true)
  *   --exclude       CSS selectors to exclude (comma-separated)
+ *   --tags          axe rule tags to run (comma-separated)
+ *   --disable-rules axe rule ids to disable (comma-separated)
+ *   --strict-ignore Fail when an "ignore" suppression in the config has expired
+ *   --baseline      Baseline file of known violations (only new ones fail)
+ *   --update-baseline  Rewrite the baseline file from this run
+ *   --crawl         Discover pages by crawling same-origin links from the base URL
+ *   --concurrency   Number of scenarios to test in parallel (default: 1)
+ *   --navigation-timeout  Page navigation timeout in ms (default: 60000)
+ *   --junit         Write a JUnit XML report for CI dashboards to this path
+ *   --sarif         Write a SARIF 2.1.0 file for GitHub code scanning to this path
+ *   --issues        Export tickets (one per rule per scenario): jira,github,csv
+ *   --conformance   Write a WCAG conformance report (VPAT 2.x layout) as HTML and Markdown
+ *   --reporters     Per-page reports to write: json,html,markdown,screenshot or none
+ *   --quiet         Only log warnings and errors
+ *   --verbose       Also log debug details (axe stats, plugin results)
+ *   --log-format    Log as text (default) or json (one object per line)
+ *   --keyboard      Tab through each page and audit keyboard operability
+ *   --element-screenshots  Save a cropped screenshot of every violating element
+ *   --plugins       Custom checks: built-in names or plugin module paths
+ *   --history       Run history file for the trend command, or false
  *
  * Config file format (JSON):
  * {
@@ -42,30 +66,76 @@
  * }
  */
 
-import { chromium, firefox, webkit } from 'playwright';
+import { chromium, firefox, webkit, devices } from 'playwright';
 import AxeBuilder from '@axe-core/playwright';
+import axe from 'axe-core';
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
 import fs from 'fs';
+import http from 'http';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { format } from 'util';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Parse command line arguments
+// Defaults for every run, from the CLI or run()
+const defaultConfig = {
+  url: null,
+  password: null,
+  outputDir: './a11y-reports',
+  name: null,
+  browser: 'chromium',
+  configFile: null,
+  headless: true,
+  exclude: [],
+  tags: null,
+  disableRules: null,
+  strictIgnore: null,
+  failOn: 'serious', // 'critical', 'serious', 'moderate', 'minor', 'all'
+  treatIncompleteAsViolations: false,
+  baseline: null,
+  updateBaseline: false,
+  browsers: null,
+  crawl: null,
+  crawlEnabled: false,
+  crawlDepth: null,
+  crawlMaxPages: null,
+  concurrency: null,
+  navigationTimeout: null,
+  junit: null,
+  sarif: null,
+  issues: null,
+  conformance: null,
+  reporters: null,
+  logLevel: null,
+  logFormat: null,
+  keyboard: null,
+  plugins: null,
+  screenshots: null,
+  elementScreenshots: false,
+  static: null,
+  staticDir: null,
+  staticFiles: null,
+  history: null,
+  command: null,
+  commandArgs: null,
+};
+
+// Value of a whole-number option, e.g. --concurrency 4
+function integerArg(flag, value) {
+  if (!/^\d+$/.test(String(value ?? '').trim())) {
+    throw new Error(`${flag} needs a whole number (got ${value === undefined ? 'nothing' : JSON.stringify(value)})`);
+  }
+  return parseInt(value, 10);
+}
+
+// Parse command line arguments. Only options that were given are returned,
+// so they override the config file and environment without their defaults.
 function parseArgs() {
   const args = process.argv.slice(2);
-  const config = {
-    url: null,
-    password: null,
-    outputDir: './a11y-reports',
-    name: null,
-    browser: 'chromium',
-    configFile: null,
-    headless: true,
-    exclude: [],
-    failOn: 'serious', // 'critical', 'serious', 'moderate', 'minor', 'all'
-    treatIncompleteAsViolations: false,
-  };
+  const config = {};
 
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
@@ -82,7 +152,8 @@ function parseArgs() {
         config.name = args[++i];
         break;
       case '--browser':
-        config.browser = args[++i];
+        config.browsers = args[++i].split(',').map(s => s.trim());
+        config.browser = config.browsers[0];
         break;
       case '--config':
         config.configFile = args[++i];
@@ -93,16 +164,95 @@ function parseArgs() {
       case '--exclude':
         config.exclude = args[++i].split(',').map(s => s.trim());
         break;
+      case '--tags':
+        config.tags = args[++i].split(',').map(s => s.trim());
+        break;
+      case '--disable-rules':
+        config.disableRules = args[++i].split(',').map(s => s.trim());
+        break;
+      case '--strict-ignore':
+        config.strictIgnore = true;
+        break;
       case '--fail-on':
         config.failOn = args[++i];
         break;
       case '--treat-incomplete-as-violations':
         config.treatIncompleteAsViolations = true;
         break;
+      case '--baseline':
+        config.baseline = args[++i];
+        break;
+      case '--update-baseline':
+        config.updateBaseline = true;
+        break;
+      case '--crawl':
+        config.crawlEnabled = true;
+        break;
+      case '--crawl-depth':
+        config.crawlDepth = integerArg('--crawl-depth', args[++i]);
+        break;
+      case '--crawl-max-pages':
+        config.crawlMaxPages = integerArg('--crawl-max-pages', args[++i]);
+        break;
+      case '--concurrency':
+        config.concurrency = integerArg('--concurrency', args[++i]);
+        break;
+      case '--navigation-timeout':
+        config.navigationTimeout = integerArg('--navigation-timeout', args[++i]);
+        break;
+      case '--junit':
+        config.junit = args[++i];
+        break;
+      case '--sarif':
+        config.sarif = args[++i];
+        break;
+      case '--issues':
+        config.issues = args[++i];
+        break;
+      case '--conformance':
+        config.conformance = true;
+        break;
+      case '--reporters':
+        config.reporters = args[++i];
+        break;
+      case '--quiet':
+        config.logLevel = 'warn';
+        break;
+      case '--verbose':
+        config.logLevel = 'debug';
+        break;
+      case '--log-format':
+        config.logFormat = args[++i];
+        break;
+      case '--keyboard':
+        config.keyboard = true;
+        break;
+      case '--dir':
+        config.staticDir = args[++i];
+        break;
+      case '--file':
+        config.staticFiles = [...(config.staticFiles || []), ...args[++i].split(',').map(s => s.trim())];
+        break;
+      case '--element-screenshots':
+        config.elementScreenshots = true;
+        break;
+      case '--plugins':
+        config.plugins = args[++i].split(',').map(s => s.trim());
+        break;
+      case '--history':
+        config.history = args[++i] === 'false' ? false : args[i];
+        break;
       case '--help':
         printHelp();
         process.exit(0);
         break;
+      default:
+        // A leading bare word is a command, e.g. "trend"; later ones are its arguments
+        if (i === 0 && !args[i].startsWith('-')) {
+          config.command = args[i];
+        } else if (config.command && !args[i].startsWith('-')) {
+          config.commandArgs = [...(config.commandArgs || []), args[i]];
+        }
     }
   }
 
@@ -116,18 +266,53 @@ Standalone Accessibility Testing Script
 Usage:
   node standalone-a11y-test.js --url https://example.com
   node standalone-a11y-test.js --config test-config.json
+  node standalone-a11y-test.js --dir ./dist
+  node standalone-a11y-test.js --file page.html
+  node standalone-a11y-test.js trend [--output ./a11y-reports] [--history file]
+  node standalone-a11y-test.js compare <before> <after> [--config test-config.json]
+
+Commands:
+  trend           Render trend.html from the run history, highlighting regressions since the previous run
+  compare         Diff two base URLs (every scenario path is tested on both) or two JSON reports/report
+                  folders; writes compare.html and compare.json and fails only on introduced violations
 
 Options:
   --url           URL to test (required if no config file)
   --password      Password for password-protected sites
+  --dir           Test every HTML file in this folder, served by a built-in local server (see "static")
+  --file          Test local HTML file(s), comma-separated or repeated; opened over file:// when possible
   --output        Output directory for reports (default: ./a11y-reports)
   --name          Test name for report files (default: derived from URL)
-  --browser       Browser to use: chromium, firefox, webkit (default: chromium)
-  --config        JSON config file with test scenarios
+  --browser       Browser(s) to use: chromium, firefox, webkit, comma-separated (default: chromium)
+  --config        Config file with test scenarios (.json, .yaml, .yml, .js, .mjs); also A11Y_CONFIG
   --headless      Run in headless mode (default: true)
   --exclude       CSS selectors to exclude (comma-separated)
+  --tags          axe rule tags to run, comma-separated (default: wcag2a,wcag2aa,wcag21a,wcag21aa,best-practice,experimental)
+  --disable-rules axe rule ids to disable, comma-separated
+  --strict-ignore Treat expired "ignore" suppressions as errors instead of warnings
   --fail-on       Severity level to fail on: critical, serious, moderate, minor, all (default: serious)
   --treat-incomplete-as-violations  Treat incomplete checks as violations (recommended)
+  --baseline      Baseline file of known violations; only new violations fail the run
+  --update-baseline  Rewrite the baseline file from this run (default file: ./a11y-baseline.json)
+  --crawl         Discover pages by following same-origin links from --url / baseUrl
+  --crawl-depth   Maximum link depth when crawling (default: 2)
+  --crawl-max-pages  Maximum number of pages to crawl (default: 50)
+  --concurrency   Number of scenarios to test in parallel (default: 1)
+  --navigation-timeout  Page navigation timeout in ms (default: 60000)
+  --junit         Write a JUnit XML report (one testsuite per scenario) to this path
+  --sarif         Write a SARIF 2.1.0 file (all scenarios merged) for GitHub code scanning
+  --issues        Export one ticket per rule per scenario to the output directory, comma-separated:
+                  jira (issues-jira.csv), github (issues-github.json), csv (issues.csv)
+  --conformance   Write a draft WCAG conformance report in the VPAT 2.x table layout
+                  (conformance.html and conformance.md), scoped to the WCAG version and level in --tags
+  --reporters     Per-page reports to write, comma-separated: json, html, markdown, screenshot, or none (default: all)
+  --quiet         Only log warnings and errors
+  --verbose       Also log debug details (axe statistics, plugin results, incomplete checks)
+  --log-format    Log format: text or json, one object per line (default: text)
+  --keyboard      Also audit keyboard operability: focus order, visible focus, traps, skip links
+  --element-screenshots  Also save a cropped screenshot of every violating element
+  --plugins       Custom checks, comma-separated: built-in names (links-without-text, list-structure) or module paths
+  --history       Run history file, or false to stop recording (default: <output>/a11y-history.jsonl)
   --help          Show this help message
 
 Examples:
@@ -143,7 +328,48 @@ Examples:
   # Use Firefox in non-headless mode
   node standalone-a11y-test.js --url https://example.com --browser firefox --headless false
 
-Config file format:
+  # Record known violations, then fail only on new ones
+  node standalone-a11y-test.js --config test-config.json --baseline a11y-baseline.json --update-baseline
+  node standalone-a11y-test.js --config test-config.json --baseline a11y-baseline.json
+
+  # Crawl a site and test every page found (up to 3 links deep)
+  node standalone-a11y-test.js --url https://example.com --crawl --crawl-depth 3
+
+  # Run every scenario in all three engines and compare the results
+  node standalone-a11y-test.js --config test-config.json --browser chromium,firefox,webkit
+
+  # Test 4 scenarios at a time
+  node standalone-a11y-test.js --config test-config.json --concurrency 4
+
+  # Test against WCAG 2.2 AA without experimental rules
+  node standalone-a11y-test.js --url https://example.com --tags wcag2a,wcag2aa,wcag21a,wcag21aa,wcag22aa,best-practice
+
+  # Publish results to a CI test dashboard
+  node standalone-a11y-test.js --config test-config.json --junit a11y-reports/junit.xml
+
+  # Upload findings to GitHub code scanning
+  node standalone-a11y-test.js --config test-config.json --sarif a11y-reports/a11y.sarif
+
+  # Export tickets for a Jira CSV import
+  node standalone-a11y-test.js --config test-config.json --issues jira
+
+  # Draft an Accessibility Conformance Report for WCAG 2.2 AA
+  node standalone-a11y-test.js --config test-config.json --tags wcag2a,wcag2aa,wcag21a,wcag21aa,wcag22aa --conformance
+
+  # Audit a static site build offline
+  node standalone-a11y-test.js --dir ./dist
+
+  # Chart violations over all recorded runs
+  node standalone-a11y-test.js trend
+
+  # Compare staging with production before a release
+  node standalone-a11y-test.js compare https://www.example.com https://staging.example.com --config test-config.json
+
+Configuration precedence: defaults < config file (and "extends") < A11Y_* environment
+variables (e.g. A11Y_BASE_URL, A11Y_PASSWORD) < command-line options.
+Config strings can use \${NAME} to read environment variables.
+
+Config file format (schema: a11y-config.schema.json):
 {
   "baseUrl": "https://example.com",
   "password": "optional-password",
@@ -157,556 +383,4928 @@ Config file format:
       "name": "About Page",
       "path": "/about"
     }
+  ],
+  "crawl": {
+    "maxDepth": 2,
+    "maxPages": 50,
+    "include": ["/blog/*"],
+    "exclude": ["/admin/*"],
+    "robots": true,
+    "sitemap": true
+  },
+  "tags": ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa", "wcag22aa"],
+  "rules": { "color-contrast": { "enabled": false } },
+  "disableRules": ["region"],
+  "dismiss": { "presets": ["onetrust"], "consentCookies": true },
+  "ready": { "networkIdle": true, "selector": "#app", "timeout": 15000 },
+  "keyboard": { "maxTabs": 100 },
+  "screenshots": { "annotate": true, "elements": true, "maxNodes": 100 },
+  "plugins": ["links-without-text", { "path": "./checks/focus-ring.js", "impact": "serious" }],
+  "ignore": [
+    {
+      "rule": "color-contrast",
+      "target": ".legacy-footer",
+      "url": "/about*",
+      "reason": "Footer redesign tracked in JIRA-123",
+      "expires": "2025-12-31"
+    }
   ]
 }
   `);
 }
 
-// Handle password-protected sites
-async function navigateWithPassword(page, url, password) {
-  console.log('   🔐 Handling password protection...');
+// Config file schema, published as a11y-config.schema.json
+let configSchema = null;
 
-  await page.goto(url, {
-    waitUntil: 'load',
-    timeout: 60000
+function loadConfigSchema() {
+  if (!configSchema) {
+    configSchema = JSON.parse(fs.readFileSync(path.join(__dirname, 'a11y-config.schema.json'), 'utf8'));
+  }
+  return configSchema;
+}
+
+// Follow a local "$ref" ("#/definitions/...") to its schema
+function resolveSchemaRef(schema, root) {
+  if (!schema.$ref) {
+    return schema;
+  }
+  const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+  const { $ref, ...rest } = schema;
+  return { ...resolveSchemaRef(target, root), ...rest };
+}
+
+function jsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return Number.isInteger(value) ? 'integer' : typeof value;
+}
+
+// The closest known key within two edits, for "did you mean" hints
+function suggestKey(key, known) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+  const scored = known
+    .map(candidate => ({ candidate, score: distance(key.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(({ score }) => score <= 2)
+    .sort((a, b) => a.score - b.score);
+  return scored.length > 0 ? scored[0].candidate : null;
+}
+
+// Validate a value against the JSON Schema keywords used in
+// a11y-config.schema.json (type, enum, properties, additionalProperties,
+// required, items, anyOf, minimum, $ref). Returns a list of
+// { path, message, typeMismatch } errors.
+function validateSchema(value, schema, at = '', root = schema) {
+  schema = resolveSchemaRef(schema, root);
+
+  // Functions can only come from .js configs (e.g. actions); they are
+  // checked where they are used
+  if (typeof value === 'function') {
+    return [];
+  }
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(branch => validateSchema(value, branch, at, root));
+    if (branches.some(errors => errors.length === 0)) {
+      return [];
+    }
+    // Report the first branch of the right type, else the allowed types
+    const matching = branches.find(errors => !(errors.length === 1 && errors[0].typeMismatch && errors[0].path === at));
+    if (matching) {
+      return matching;
+    }
+    const allowed = [...new Set(branches.map(errors => errors[0].expected))].join(' or ');
+    return [{ path: at, message: `must be ${allowed} (got ${jsonType(value)})`, typeMismatch: true, expected: allowed }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const expected = `one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`;
+    return [{ path: at, message: `must be ${expected} (got ${JSON.stringify(value)})`, typeMismatch: true, expected }];
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = jsonType(value);
+    if (!types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+      const expected = types.map(type => (type === 'integer' ? 'an integer' : /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ');
+      return [{ path: at, message: `must be ${expected} (got ${actual})`, typeMismatch: true, expected }];
+    }
+  }
+
+  const errors = [];
+  const child = key => (typeof key === 'number' ? `${at}[${key}]` : at ? `${at}.${key}` : key);
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: at, message: `must be at least ${schema.minimum} (got ${value})` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, child(index), root)));
+  }
+
+  if (jsonType(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: at, message: `"${key}" is required` });
+      }
+    });
+    Object.entries(value).forEach(([key, item]) => {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], child(key), root));
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, Object.keys(properties));
+        errors.push({ path: at, message: `unknown option "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, child(key), root));
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Throw one error listing every schema violation in a config layer
+function validateConfig(config, source) {
+  const errors = validateSchema(config, loadConfigSchema());
+  if (errors.length > 0) {
+    const lines = errors.map(({ path: at, message }) => `   - ${at ? `${at}: ` : ''}${message}`);
+    throw new Error([`Invalid configuration in ${source}:`, ...lines].join('\n'));
+  }
+}
+
+// Replace ${NAME} in config strings with environment variables, so secrets
+// can stay out of config files
+function interpolateEnv(value, env, at = '') {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z_][A-Z0-9_]*)\}/g, (match, name) => {
+      if (env[name] === undefined) {
+        throw new Error(`${at || 'config'} uses \${${name}}, but ${name} is not set`);
+      }
+      return env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => interpolateEnv(item, env, `${at}[${index}]`));
+  }
+  if (jsonType(value) === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, env, at ? `${at}.${key}` : key)]));
+  }
+  return value;
+}
+
+// Deep-merge config objects: nested objects merge, everything else
+// (including arrays) is replaced by the override
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    const isObject = item => jsonType(item) === 'object' && Object.getPrototypeOf(item) === Object.prototype;
+    merged[key] = isObject(value) && isObject(base[key]) ? mergeConfig(base[key], value) : value;
   });
+  return merged;
+}
+
+// Load a .json, .yaml/.yml or .js/.mjs/.cjs config file (a default export,
+// or a function returning the config), following "extends"
+async function loadConfigFile(file, env = process.env, seen = []) {
+  const configPath = path.resolve(file);
+  const display = filePath => {
+    const relative = path.relative(process.cwd(), filePath);
+    return relative && !relative.startsWith('..') ? relative : filePath;
+  };
+  const label = display(configPath);
+  if (seen.includes(configPath)) {
+    throw new Error(`"extends" cycle: ${[...seen, configPath].map(display).join(' -> ')}`);
+  }
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${label}`);
+  }
+
+  let config;
+  try {
+    const extension = path.extname(configPath).toLowerCase();
+    if (['.js', '.mjs', '.cjs'].includes(extension)) {
+      const module = await import(pathToFileURL(configPath).href);
+      if (module.default === undefined) {
+        throw new Error('a JavaScript config needs a default export');
+      }
+      config = typeof module.default === 'function' ? await module.default() : module.default;
+    } else if (['.yaml', '.yml'].includes(extension)) {
+      const { parse } = await import('yaml');
+      config = parse(fs.readFileSync(configPath, 'utf8'));
+    } else {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+    if (jsonType(config) !== 'object') {
+      throw new Error(`the config must be an object (got ${jsonType(config)})`);
+    }
+    config = interpolateEnv(config, env);
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+  validateConfig(config, label);
+
+  let merged = {};
+  for (const parent of config.extends ? [].concat(config.extends) : []) {
+    const parentConfig = await loadConfigFile(path.resolve(path.dirname(configPath), parent), env, [...seen, configPath]);
+    merged = mergeConfig(merged, parentConfig);
+  }
+  const { extends: parents, $schema, ...own } = config;
+  return mergeConfig(merged, own);
+}
+
+// A11Y_BASE_URL for baseUrl, A11Y_FAIL_ON for failOn, ...
+function envName(key) {
+  return `A11Y_${key.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+}
+
+// A11Y_* environment variables for top-level options, named after the
+// option (A11Y_BASE_URL, A11Y_FAIL_ON, A11Y_PASSWORD, ...). Values are
+// converted to the option's type; lists are comma-separated and objects JSON.
+function envConfig(env = process.env) {
+  const schema = loadConfigSchema();
+  const config = {};
+  Object.entries(schema.properties)
+    .filter(([key]) => !['$schema', 'extends', 'scenarios'].includes(key))
+    .forEach(([key, property]) => {
+      const raw = env[envName(key)];
+      if (raw === undefined || raw === '') {
+        return;
+      }
+      const resolved = resolveSchemaRef(property, schema);
+      const types = resolved.anyOf
+        ? resolved.anyOf.flatMap(branch => [].concat(resolveSchemaRef(branch, schema).type || 'string'))
+        : [].concat(resolved.type || 'string');
+
+      if (/^\s*[[{]/.test(raw)) {
+        try {
+          config[key] = JSON.parse(raw);
+          return;
+        } catch (error) {
+          // Not JSON; fall through and treat it as text
+        }
+      }
+      if (types.includes('boolean') && /^(true|false|1|0)$/i.test(raw)) {
+        config[key] = /^(true|1)$/i.test(raw);
+      } else if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(raw)) {
+        config[key] = Number(raw);
+      } else if (types.includes('array') && !types.includes('string')) {
+        config[key] = raw.split(',').map(s => s.trim()).filter(Boolean);
+      } else {
+        config[key] = raw;
+      }
+    });
+  return config;
+}
+
+// Build the effective config. Precedence: defaults < config file (and what it
+// extends) < A11Y_* environment variables < command-line options. The config
+// file can also come from A11Y_CONFIG.
+async function loadConfig({ configFile = null, cli = {}, env = process.env } = {}) {
+  const file = configFile || env.A11Y_CONFIG || null;
+  const fileConfig = file ? await loadConfigFile(file, env) : {};
+
+  const environment = envConfig(env);
+  Object.entries(environment).forEach(([key, value]) => validateConfig({ [key]: value }, envName(key)));
+
+  // configFile, crawlEnabled, elementScreenshots, staticDir, staticFiles and
+  // the command and its arguments are command-line only
+  const { configFile: cliConfigFile, crawlEnabled, elementScreenshots, staticDir, staticFiles, command, commandArgs, ...cliOptions } = cli;
+  validateConfig(cliOptions, 'command-line options');
+
+  return { ...defaultConfig, ...fileConfig, ...environment, ...cli, configFile: file };
+}
+
+// Handle password-protected sites. Returns true once the password was
+// accepted, false if the page has no password form, and throws if the
+// password is missing or rejected.
+async function navigateWithPassword(page, url, password, options = {}) {
+  log.info('   🔐 Handling password protection...');
+
+  const passwordSelector = options.passwordSelector || 'input[type="password"]';
+  const submitSelector = options.submitSelector || 'button[type="submit"], input[type="submit"]';
+
+  await page.goto(url, { waitUntil: 'load' });
 
   // Check if password form is present
-  const passwordInput = await page.locator('input[type="password"]').first();
+  const passwordInput = page.locator(passwordSelector).first();
   const isPasswordProtected = await passwordInput.count() > 0;
 
-  if (isPasswordProtected && password) {
-    await passwordInput.fill(password);
+  if (!isPasswordProtected) {
+    log.info('   ℹ️  No password form found');
+    return false;
+  }
+  if (!password) {
+    throw new Error('Site is password protected but no password provided');
+  }
+
+  await passwordInput.fill(password);
+
+  // Find and click submit button
+  const submitButton = page.locator(submitSelector).first();
+  await submitButton.click();
 
-    // Find and click submit button
-    const submitButton = await page.locator('button[type="submit"], input[type="submit"]').first();
-    await submitButton.click();
+  // Wait for navigation
+  await page.waitForLoadState('load');
+
+  // Still seeing the password form means the password was rejected
+  await verifyLogin(page, {
+    successSelector: options.successSelector,
+    failureSelector: passwordSelector,
+  });
+  log.info('   ✅ Password authentication successful');
+  return true;
+}
 
-    // Wait for navigation
-    await page.waitForLoadState('load');
-    console.log('   ✅ Password authentication successful');
-  } else if (isPasswordProtected && !password) {
-    console.warn('   ⚠️  Site is password protected but no password provided');
+// Check the page after submitting a login form. Login failed if the
+// failure/error selector is visible, or the success selector or URL is not
+// reached.
+async function verifyLogin(page, { successSelector, successUrl, failureSelector, errorSelector, timeout = 10000 }) {
+  if (successUrl) {
+    try {
+      await page.waitForURL(successUrl, { timeout });
+    } catch (e) {
+      throw new Error(`Login did not reach ${successUrl} (still on ${page.url()})`);
+    }
+  }
+  if (successSelector) {
+    try {
+      await page.waitForSelector(successSelector, { state: 'visible', timeout });
+    } catch (e) {
+      throw new Error(`Login success element "${successSelector}" did not appear`);
+    }
+  }
+  if (errorSelector && await page.locator(errorSelector).first().isVisible()) {
+    const message = (await page.locator(errorSelector).first().textContent() || '').trim();
+    throw new Error(`Login rejected${message ? `: ${message}` : ''}`);
+  }
+  if (!successSelector && !successUrl && failureSelector && await page.locator(failureSelector).first().isVisible()) {
+    throw new Error('Login rejected: the login form is still shown');
   }
 }
 
-// Generate HTML report
-function generateHTMLReport(results, pageName, url, testName) {
-  const { violations, passes, incomplete, inapplicable } = results;
+// Username/password form login with configurable selectors
+async function loginWithForm(page, auth, baseUrl) {
+  const loginUrl = new URL(auth.url || '/', baseUrl).toString();
+  log.info(`   🔐 Logging in at ${loginUrl}...`);
 
-  const violationsSummary = violations
-    .map(
-      (violation) => `
-    <div class="violation ${violation.impact}">
-      <h3>${violation.id}: ${violation.help}</h3>
-      <p><strong>Impact:</strong> ${violation.impact}</p>
-      <p><strong>Description:</strong> ${violation.description}</p>
-      <p><strong>Help:</strong> <a href="${violation.helpUrl}" target="_blank">${violation.helpUrl}</a></p>
-      <p><strong>Nodes affected:</strong> ${violation.nodes.length}</p>
-      <details>
-        <summary>Show affected elements</summary>
-        <ul>
-          ${violation.nodes
-            .map(
-              (node) => {
-                const allChecks = [
-                  ...(node.any || []),
-                  ...(node.all || []),
-                  ...(node.none || [])
-                ];
+  await page.goto(loginUrl, { waitUntil: 'load' });
 
-                const meaningfulChecks = allChecks.filter(check =>
-                  (check.message && check.message.trim()) || (check.id && check.id.trim())
-                );
+  const usernameSelector = auth.usernameSelector || 'input[type="email"], input[name="username"], input[name="email"], input[type="text"]';
+  const passwordSelector = auth.passwordSelector || 'input[type="password"]';
+  const submitSelector = auth.submitSelector || 'button[type="submit"], input[type="submit"]';
 
-                const checkMessages = meaningfulChecks.length > 0
-                  ? `<ul>${meaningfulChecks.map((check) => `<li>${check.message || check.id}</li>`).join('')}</ul>`
-                  : '';
+  if (auth.username !== undefined) {
+    await page.locator(usernameSelector).first().fill(String(auth.username));
+  }
+  await page.locator(passwordSelector).first().fill(String(auth.password ?? ''));
+  await page.locator(submitSelector).first().click();
+  await page.waitForLoadState('load');
 
-                return `
-            <li>
-              <code>${node.html.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</code>
-              ${checkMessages}
-            </li>
-          `;
-              }
-            )
-            .join('')}
-        </ul>
-      </details>
-    </div>
-  `
-    )
-    .join('');
+  await verifyLogin(page, {
+    successSelector: auth.successSelector,
+    successUrl: auth.successUrl,
+    errorSelector: auth.errorSelector,
+    failureSelector: passwordSelector,
+  });
+  log.info('   ✅ Form login successful');
+}
 
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Accessibility Report - ${pageName}</title>
-  <style>
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-      line-height: 1.6;
-      max-width: 1200px;
-      margin: 0 auto;
-      padding: 20px;
-      background: #f5f5f5;
-    }
-    .header {
-      background: white;
-      padding: 20px;
-      border-radius: 8px;
-      margin-bottom: 20px;
-      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-    }
-    .summary {
-      display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-      gap: 15px;
-      margin-bottom: 20px;
-    }
-    .summary-card {
-      background: white;
-      padding: 15px;
-      border-radius: 8px;
-      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+// Authentication strategies from the config. "auth" can be one strategy or a
+// list; a plain "password" is the storefront password form.
+function authStrategies(config) {
+  const list = config.auth ? [].concat(config.auth) : [];
+  if (list.length === 0 && config.password) {
+    list.push({ type: 'password', password: config.password });
+  }
+
+  list.forEach(auth => {
+    switch (auth.type) {
+      case 'password':
+      case 'form':
+        break;
+      case 'cookies':
+        if (!Array.isArray(auth.cookies) || auth.cookies.length === 0) {
+          throw new Error('auth "cookies" needs a "cookies" array');
+        }
+        break;
+      case 'headers':
+        if (!auth.headers || typeof auth.headers !== 'object' || Array.isArray(auth.headers)) {
+          throw new Error('auth "headers" needs a "headers" object');
+        }
+        break;
+      case 'basic':
+        if (!auth.username) {
+          throw new Error('auth "basic" needs a username');
+        }
+        break;
+      case 'storageState':
+        if (!auth.path || !fs.existsSync(path.resolve(auth.path))) {
+          throw new Error(`auth "storageState" file not found: ${auth.path}`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown auth type "${auth.type}" (use password, form, basic, cookies, headers or storageState)`);
     }
-    .summary-card h3 {
-      margin: 0 0 10px 0;
-      font-size: 14px;
-      color: #666;
-      text-transform: uppercase;
+  });
+
+  return list;
+}
+
+// Browser context options needed by the authentication strategies
+function authContextOptions(strategies) {
+  const options = {};
+  strategies.forEach(auth => {
+    if (auth.type === 'basic') {
+      options.httpCredentials = { username: auth.username, password: auth.password || '' };
+    } else if (auth.type === 'headers') {
+      options.extraHTTPHeaders = { ...(options.extraHTTPHeaders || {}), ...auth.headers };
+    } else if (auth.type === 'storageState') {
+      options.storageState = path.resolve(auth.path);
     }
-    .summary-card .count {
-      font-size: 32px;
-      font-weight: bold;
+  });
+  return options;
+}
+
+// Run the strategies that need a page or cookies once the context exists.
+// Throws if authentication fails.
+async function authenticate(context, strategies, baseUrl) {
+  for (const auth of strategies) {
+    if (auth.type === 'cookies') {
+      const origin = new URL(baseUrl).origin;
+      await context.addCookies(auth.cookies.map(cookie => (
+        cookie.domain || cookie.url ? cookie : { ...cookie, url: origin }
+      )));
+      log.info(`   🍪 Added ${auth.cookies.length} cookie(s)`);
+    } else if (auth.type === 'password' || auth.type === 'form') {
+      const authPage = await context.newPage();
+      try {
+        if (auth.type === 'password') {
+          await navigateWithPassword(authPage, new URL(auth.url || baseUrl, baseUrl).toString(), auth.password, auth);
+        } else {
+          await loginWithForm(authPage, auth, baseUrl);
+        }
+      } finally {
+        await authPage.close();
+      }
+    } else {
+      log.info(`   🔑 Using ${auth.type === 'basic' ? 'HTTP basic auth' : auth.type === 'headers' ? 'extra HTTP headers' : `storage state ${auth.path}`}`);
     }
-    .violations { color: #d32f2f; }
+  }
+}
+
+// Generic cookie banner and overlay buttons, tried when dismissal is "auto"
+const defaultDismissSelectors = [
+  // Common cookie banner buttons
+  'button[id*="accept"]',
+  'button[id*="cookie"]',
+  'button[class*="accept"]',
+  'button[class*="cookie"]',
+  'button[aria-label*="accept"]',
+  'button[aria-label*="cookie"]',
+  'button:has-text("Accept")',
+  'button:has-text("Accept All")',
+  'button:has-text("Got it")',
+  'button:has-text("OK")',
+  'button:has-text("Close")',
+  'a[class*="close"]',
+  '[role="dialog"] button',
+  '.cookie-banner button',
+  '#cookie-banner button',
+  // Common modal/overlay close buttons
+  'button[aria-label="Close"]',
+  'button[aria-label="Dismiss"]',
+  '[data-testid="close-button"]',
+  '.modal-close',
+  '.overlay-close',
+];
+
+// Consent platform presets: the "accept" button to click, and cookies that
+// record consent so the banner is never shown. Cookie values are a best
+// effort for a default setup; pass your own "cookies" if the site differs.
+const consentPresets = {
+  onetrust: {
+    selectors: ['#onetrust-accept-btn-handler', '.onetrust-close-btn-handler'],
+    cookies: () => [
+      { name: 'OptanonAlertBoxClosed', value: new Date().toISOString() },
+      {
+        name: 'OptanonConsent',
+        value: `isGpcEnabled=0&datestamp=${encodeURIComponent(new Date().toString())}&isIABGlobal=false&groups=C0001%3A1%2CC0002%3A1%2CC0003%3A1%2CC0004%3A1&AwaitingReconsent=false`,
+      },
+    ],
+  },
+  cookiebot: {
+    selectors: ['#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', '#CybotCookiebotDialogBodyButtonAccept'],
+    cookies: () => [
+      {
+        name: 'CookieConsent',
+        value: `{stamp:%27-1%27%2Cnecessary:true%2Cpreferences:true%2Cstatistics:true%2Cmarketing:true%2Cmethod:%27explicit%27%2Cver:1%2Cutc:${Date.now()}}`,
+      },
+    ],
+  },
+  trustarc: {
+    selectors: ['#truste-consent-button', '.truste-consent-button', '#consent_prompt_submit'],
+    cookies: () => [
+      { name: 'notice_behavior', value: 'expressed,eu' },
+      { name: 'notice_gdpr_prefs', value: '0,1,2:' },
+      { name: 'notice_preferences', value: '2:' },
+      { name: 'cmapi_cookie_privacy', value: 'permit 1,2,3' },
+    ],
+  },
+  didomi: {
+    selectors: ['#didomi-notice-agree-button'],
+    cookies: () => {
+      const now = new Date().toISOString();
+      const token = {
+        user_id: 'a11y-test',
+        created: now,
+        updated: now,
+        vendors: { enabled: [] },
+        purposes: { enabled: ['cookies', 'analytics', 'advertising'] },
+        version: 2,
+      };
+      return [{ name: 'didomi_token', value: Buffer.from(JSON.stringify(token)).toString('base64') }];
+    },
+  },
+};
+
+// Resolve the overlay dismissal settings for a scenario. "dismiss" can be
+// false/"off", "auto" (default selectors), a preset name, or an object with
+// presets, selectors, consentCookies and cookies. A scenario's own "dismiss"
+// replaces the global one.
+function resolveDismissal(config, scenario = null) {
+  let spec = scenario && scenario.dismiss !== undefined ? scenario.dismiss : config.dismiss;
+  if (spec === undefined || spec === null || spec === true || spec === 'auto') {
+    spec = { includeDefaults: true };
+  } else if (spec === false || spec === 'off') {
+    return { enabled: false, selectors: [], cookies: [] };
+  } else if (typeof spec === 'string' || Array.isArray(spec)) {
+    spec = { presets: [].concat(spec) };
+  }
+
+  const presetNames = (spec.presets || []).map(name => String(name).toLowerCase());
+  const unknown = presetNames.filter(name => !consentPresets[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown dismiss preset(s): ${unknown.join(', ')} (use ${Object.keys(consentPresets).join(', ')})`);
+  }
+
+  const selectors = [
+    ...presetNames.flatMap(name => consentPresets[name].selectors.map(selector => ({ selector, source: `preset:${name}` }))),
+    ...(spec.selectors || []).map(selector => ({ selector, source: 'custom' })),
+    ...(spec.includeDefaults ? defaultDismissSelectors.map(selector => ({ selector, source: 'default' })) : []),
+  ];
+
+  // consentCookies: true uses the cookies of every listed preset
+  const cookiePresets = spec.consentCookies === true ? presetNames : (spec.consentCookies || []).map(n => String(n).toLowerCase());
+  const unknownCookiePresets = cookiePresets.filter(name => !consentPresets[name]);
+  if (unknownCookiePresets.length > 0) {
+    throw new Error(`Unknown consentCookies preset(s): ${unknownCookiePresets.join(', ')}`);
+  }
+  const cookies = [
+    ...cookiePresets.flatMap(name => consentPresets[name].cookies()),
+    ...(spec.cookies || []),
+  ];
+
+  return { enabled: selectors.length > 0 || cookies.length > 0, selectors, cookies };
+}
+
+// Attach consent cookies to the page's URL unless they name their own domain
+function consentCookies(cookies, url) {
+  return cookies.map(cookie => (cookie.domain || cookie.url ? cookie : { ...cookie, url: new URL(url).origin }));
+}
+
+// Click the first visible dismiss selector and describe what was dismissed
+async function dismissOverlays(page, dismissal) {
+  if (dismissal.selectors.length === 0) {
+    log.info(`   ℹ️  Overlay dismissal is off for this scenario`);
+    return dismissal.cookies.length > 0 ? { consentCookies: dismissal.cookies.map(c => c.name) } : null;
+  }
+
+  log.info(`   🍪 Attempting to dismiss cookie banners and overlays...`);
+  for (const { selector, source } of dismissal.selectors) {
+    try {
+      const element = page.locator(selector).first();
+      if (await element.isVisible({ timeout: 500 })) {
+        // Record the element before clicking; it usually disappears
+        const description = await element.evaluate(el => ({
+          text: (el.innerText || el.textContent || '').trim().slice(0, 100),
+          html: el.outerHTML.slice(0, 300),
+        }));
+        await element.click({ timeout: 1000 });
+        log.info(`   ✅ Dismissed overlay/banner using: ${selector} (${source})`);
+        await element.waitFor({ state: 'hidden', timeout: 2000 }).catch(() => {});
+        return {
+          selector,
+          source,
+          ...description,
+          consentCookies: dismissal.cookies.map(c => c.name),
+        };
+      }
+    } catch (e) {
+      // Selector not found or not clickable, continue
+    }
+  }
+
+  log.info(`   ℹ️  No cookie banners or overlays detected`);
+  return dismissal.cookies.length > 0 ? { consentCookies: dismissal.cookies.map(c => c.name) } : null;
+}
+
+// One-line description of a dismissed overlay for report headers
+function describeOverlay(overlay, escape) {
+  const parts = [];
+  if (overlay.selector) {
+    parts.push(`dismissed ${escape(overlay.selector)} (${escape(overlay.source)}${overlay.text ? `, "${escape(overlay.text)}"` : ''})`);
+  }
+  if (overlay.consentCookies && overlay.consentCookies.length > 0) {
+    parts.push(`consent cookies ${escape(overlay.consentCookies.join(', '))}`);
+  }
+  return parts.join('; ');
+}
+
+const defaultNavigationTimeout = 60000;
+
+// Wait for a 500ms DOM quiet period, for at most 5s. networkIdle is opt-in:
+// sites with continuous background requests never reach it.
+const defaultReadiness = { quietPeriod: 500, timeout: 5000 };
+
+const readinessTypes = {
+  networkIdle: 'boolean',
+  selector: 'string',
+  quietPeriod: 'number',
+  windowFlag: 'string',
+  delay: 'number',
+  timeout: 'number',
+};
+
+// Resolve page readiness settings. "ready" can be false (no waiting after
+// load) or an object; a scenario's "ready" is merged over the global one.
+function resolveReadiness(config, scenario = null) {
+  if (scenario?.ready === false || (config.ready === false && scenario?.ready === undefined)) {
+    return { timeout: defaultReadiness.timeout };
+  }
+
+  const readiness = { ...defaultReadiness };
+  [config.ready, scenario?.ready].forEach(spec => {
+    if (spec === undefined || spec === null || spec === false || spec === true) {
+      return;
+    }
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error(`"ready" must be false or an object, got ${JSON.stringify(spec)}`);
+    }
+    Object.assign(readiness, spec);
+  });
+
+  Object.entries(readiness).forEach(([key, value]) => {
+    if (!readinessTypes[key]) {
+      throw new Error(`Unknown "ready" option: ${key} (use ${Object.keys(readinessTypes).join(', ')})`);
+    }
+    if (value !== null && value !== undefined && typeof value !== readinessTypes[key]) {
+      throw new Error(`"ready.${key}" must be a ${readinessTypes[key]}`);
+    }
+  });
+  return readiness;
+}
+
+// Wait until the page is ready for scanning. Strategies run in order and share
+// one overall timeout; running out of time is reported, not fatal.
+async function waitForReady(page, readiness) {
+  const startedAt = Date.now();
+  const deadline = startedAt + (readiness.timeout || defaultReadiness.timeout);
+  const remaining = () => Math.max(1, deadline - Date.now());
+  const steps = [];
+  let timedOut = false;
+
+  const strategies = [
+    ['delay', () => page.waitForTimeout(Math.min(readiness.delay, remaining()))],
+    ['networkIdle', () => page.waitForLoadState('networkidle', { timeout: remaining() })],
+    ['selector', () => page.waitForSelector(readiness.selector, { state: 'visible', timeout: remaining() })],
+    ['windowFlag', () => page.waitForFunction(
+      flag => flag.split('.').reduce((value, key) => (value == null ? value : value[key]), window),
+      readiness.windowFlag,
+      { timeout: remaining() }
+    )],
+    ['quietPeriod', async () => {
+      // Resolves once no DOM mutation happened for quietPeriod ms
+      const settled = await page.evaluate(({ quietPeriod, timeout }) => new Promise(resolve => {
+        let quietTimer;
+        const done = result => {
+          observer.disconnect();
+          clearTimeout(quietTimer);
+          clearTimeout(limitTimer);
+          resolve(result);
+        };
+        const observer = new MutationObserver(() => {
+          clearTimeout(quietTimer);
+          quietTimer = setTimeout(() => done(true), quietPeriod);
+        });
+        observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+        quietTimer = setTimeout(() => done(true), quietPeriod);
+        const limitTimer = setTimeout(() => done(false), timeout);
+      }), { quietPeriod: readiness.quietPeriod, timeout: remaining() });
+      if (!settled) {
+        throw new Error('DOM kept changing');
+      }
+    }],
+  ];
+
+  for (const [strategy, wait] of strategies) {
+    if (!readiness[strategy]) {
+      continue;
+    }
+    if (timedOut) {
+      steps.push({ strategy, ms: 0, ok: false, skipped: true });
+      continue;
+    }
+    const stepStart = Date.now();
+    try {
+      await wait();
+      steps.push({ strategy, ms: Date.now() - stepStart, ok: true });
+    } catch (error) {
+      timedOut = true;
+      steps.push({ strategy, ms: Date.now() - stepStart, ok: false, error: error.message.split('\n')[0] });
+      log.info(`   ⚠️  Readiness "${strategy}" not met within ${readiness.timeout || defaultReadiness.timeout}ms - scanning anyway`);
+    }
+  }
+
+  const waitedMs = Date.now() - startedAt;
+  if (steps.length > 0 && !timedOut) {
+    log.info(`   ✅ Page ready after ${waitedMs}ms (${steps.map(s => s.strategy).join(', ')})`);
+  }
+  return { waitedMs, timedOut, steps };
+}
+
+// One-line description of the readiness wait for report headers
+function describeReadiness(readiness) {
+  const steps = readiness.steps.map(step => `${step.strategy} ${step.skipped ? 'skipped' : `${step.ms}ms${step.ok ? '' : ' (timed out)'}`}`);
+  return `${readiness.waitedMs}ms${steps.length > 0 ? ` (${steps.join(', ')})` : ''}`;
+}
+
+// Convert a URL glob (e.g. "/blog/*") to a RegExp matched against path + query
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Parse robots.txt rules that apply to all user agents
+function parseRobots(text) {
+  const rules = { allow: [], disallow: [], sitemaps: [] };
+  let agents = [];
+  let inRules = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) {
+      return;
+    }
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      rules.sitemaps.push(value);
+    } else if (field === 'user-agent') {
+      // A user-agent line after rules starts a new group
+      if (inRules) {
+        agents = [];
+        inRules = false;
+      }
+      agents.push(value.toLowerCase());
+    } else if (field === 'allow' || field === 'disallow') {
+      inRules = true;
+      if (agents.includes('*') && value) {
+        rules[field].push(value);
+      }
+    }
+  });
+
+  return rules;
+}
+
+// Check a path against robots.txt rules (longest match wins, allow wins ties)
+function isAllowedByRobots(urlPath, robots) {
+  const toRegExp = rule => {
+    const anchored = rule.endsWith('$');
+    const body = (anchored ? rule.slice(0, -1) : rule)
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  };
+  const longestMatch = list => list
+    .filter(rule => toRegExp(rule).test(urlPath))
+    .reduce((max, rule) => Math.max(max, rule.length), -1);
+
+  const allow = longestMatch(robots.allow);
+  const disallow = longestMatch(robots.disallow);
+  return disallow === -1 || allow >= disallow;
+}
+
+// Fetch page URLs from a sitemap (follows one level of sitemap index files)
+async function fetchSitemapUrls(request, sitemapUrl, depth = 0) {
+  try {
+    const response = await request.get(sitemapUrl, { timeout: 30000 });
+    if (!response.ok()) {
+      return [];
+    }
+    const xml = await response.text();
+    const locs = [...xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)]
+      .map(m => m[1].replace(/&amp;/g, '&'));
+
+    if (/<sitemapindex/i.test(xml)) {
+      if (depth > 0) {
+        return [];
+      }
+      const nested = [];
+      for (const loc of locs) {
+        nested.push(...await fetchSitemapUrls(request, loc, depth + 1));
+      }
+      return nested;
+    }
+    return locs;
+  } catch (e) {
+    return [];
+  }
+}
+
+// Crawl same-origin links from the start URL and return them as scenarios
+async function crawlSite(context, startUrl, crawlConfig = {}) {
+  const options = {
+    maxDepth: 2,
+    maxPages: 50,
+    include: [],
+    exclude: [],
+    robots: true,
+    sitemap: true,
+    ignoreQuery: true,
+    timeout: 60000,
+    ...crawlConfig,
+  };
+  const includePatterns = options.include.map(globToRegExp);
+  const excludePatterns = options.exclude.map(globToRegExp);
+  const skipExtensions = /\.(pdf|zip|jpe?g|png|gif|svg|webp|mp4|mp3|docx?|xlsx?|pptx?|css|js|xml|json|txt)$/i;
+  const origin = new URL(startUrl).origin;
+
+  log.info(`\n🕷️  Crawling ${startUrl} (depth ${options.maxDepth}, max ${options.maxPages} pages)...`);
+
+  // Normalize a link to a same-origin URL without hash (and query, by default)
+  const normalize = href => {
+    try {
+      const parsed = new URL(href, startUrl);
+      if (parsed.origin !== origin || !/^https?:$/.test(parsed.protocol)) {
+        return null;
+      }
+      parsed.hash = '';
+      if (options.ignoreQuery) {
+        parsed.search = '';
+      }
+      return parsed.toString();
+    } catch (e) {
+      return null;
+    }
+  };
+
+  let robots = { allow: [], disallow: [], sitemaps: [] };
+  if (options.robots) {
+    try {
+      const response = await context.request.get(`${origin}/robots.txt`, { timeout: 30000 });
+      if (response.ok()) {
+        robots = parseRobots(await response.text());
+        log.info(`   🤖 robots.txt: ${robots.disallow.length} disallow rule(s)`);
+      }
+    } catch (e) {
+      log.warn(`   ⚠️  Could not read robots.txt: ${e.message}`);
+    }
+  }
+
+  // Decide whether a URL should become a scenario
+  const isWanted = url => {
+    const parsed = new URL(url);
+    const urlPath = `${parsed.pathname}${parsed.search}`;
+    if (skipExtensions.test(parsed.pathname)) {
+      return false;
+    }
+    if (options.robots && !isAllowedByRobots(urlPath, robots)) {
+      return false;
+    }
+    if (includePatterns.length > 0 && !includePatterns.some(re => re.test(urlPath))) {
+      return false;
+    }
+    return !excludePatterns.some(re => re.test(urlPath));
+  };
+
+  const start = normalize(startUrl);
+  const queue = [{ url: start, depth: 0 }];
+  const seen = new Set([start]);
+
+  if (options.sitemap) {
+    const sitemapUrls = robots.sitemaps.length > 0 ? robots.sitemaps : [`${origin}/sitemap.xml`];
+    let fromSitemap = 0;
+    for (const sitemapUrl of sitemapUrls) {
+      for (const loc of await fetchSitemapUrls(context.request, sitemapUrl)) {
+        const url = normalize(loc);
+        if (url && !seen.has(url)) {
+          seen.add(url);
+          queue.push({ url, depth: 1 });
+          fromSitemap++;
+        }
+      }
+    }
+    if (fromSitemap > 0) {
+      log.info(`   🗺️  sitemap.xml: ${fromSitemap} URL(s)`);
+    }
+  }
+
+  const found = [];
+  const page = await context.newPage();
+
+  try {
+    while (queue.length > 0 && found.length < options.maxPages) {
+      const { url, depth } = queue.shift();
+      const wanted = isWanted(url);
+      if (!wanted && url !== start) {
+        continue;
+      }
+      if (wanted) {
+        found.push(url);
+      }
+
+      // Pages at the depth limit are listed but their links are not followed
+      if (depth >= options.maxDepth) {
+        continue;
+      }
+
+      try {
+        const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: options.timeout });
+        const contentType = response?.headers()['content-type'] || 'text/html';
+        if (!contentType.includes('html')) {
+          continue;
+        }
+        const hrefs = await page.locator('a[href]').evaluateAll(links => links.map(link => link.href));
+        hrefs.forEach(href => {
+          const link = normalize(href);
+          if (link && !seen.has(link)) {
+            seen.add(link);
+            queue.push({ url: link, depth: depth + 1 });
+          }
+        });
+      } catch (e) {
+        log.warn(`   ⚠️  Could not crawl ${url}: ${e.message}`);
+      }
+    }
+  } finally {
+    await page.close();
+  }
+
+  log.info(`   ✅ Found ${found.length} page(s)`);
+
+  return found.map(url => {
+    const parsed = new URL(url);
+    const urlPath = `${parsed.pathname}${parsed.search}`;
+    return {
+      name: urlPath === '/' ? 'Home' : urlPath,
+      path: urlPath,
+      url,
+      crawled: true,
+    };
+  });
+}
+
+// Generate HTML report
+function generateHTMLReport(results, pageName, url, testName, details = {}) {
+  const { violations, passes, incomplete, inapplicable } = results;
+  const suppressed = results.suppressed || [];
+
+  // Numbered nodes on the annotated screenshot, and their crops
+  const screenshots = details.screenshots;
+  const shots = new Map((screenshots?.nodes || []).map(node => [screenshotNodeKey(node.rule, node), node]));
+
+  const suppressedSummary = suppressed
+    .map(
+      (item) => `
+    <div class="violation suppressed">
+      <h3>${escapeHtml(item.id)}: ${escapeHtml(item.help)}</h3>
+      <p><strong>Impact:</strong> ${escapeHtml(item.impact || 'n/a')}${item.type === 'incomplete' ? ' (incomplete)' : ''}</p>
+      <p><strong>Reason:</strong> ${escapeHtml(item.suppression.reason)}</p>
+      ${item.suppression.expires ? `<p><strong>Expires:</strong> ${escapeHtml(item.suppression.expires)}</p>` : ''}
+      <p><strong>Nodes suppressed:</strong> ${item.nodes.length}</p>
+      <details>
+        <summary>Show suppressed elements</summary>
+        <ul>
+          ${item.nodes.map((node) => `<li><code>${escapeHtml(node.html)}</code></li>`).join('')}
+        </ul>
+      </details>
+    </div>
+  `
+    )
+    .join('');
+
+  const renderViolations = (list) => list
+    .map(
+      (violation) => `
+    <div class="violation ${escapeHtml(violation.impact)}">
+      <h3>${escapeHtml(violation.id)}: ${escapeHtml(violation.help)}</h3>
+      <p><strong>Impact:</strong> ${escapeHtml(violation.impact)}</p>
+      <p><strong>Description:</strong> ${escapeHtml(violation.description)}</p>
+      <p><strong>Help:</strong> <a href="${escapeHtml(violation.helpUrl)}" target="_blank">${escapeHtml(violation.helpUrl)}</a></p>
+      <p><strong>Nodes affected:</strong> ${violation.nodes.length}</p>
+      <details>
+        <summary>Show affected elements</summary>
+        <ul>
+          ${violation.nodes
+            .map(
+              (node) => {
+                const allChecks = [
+                  ...(node.any || []),
+                  ...(node.all || []),
+                  ...(node.none || [])
+                ];
+
+                const meaningfulChecks = allChecks.filter(check =>
+                  (check.message && check.message.trim()) || (check.id && check.id.trim())
+                );
+
+                const checkMessages = meaningfulChecks.length > 0
+                  ? `<ul>${meaningfulChecks.map((check) => `<li>${escapeHtml(check.message || check.id)}</li>`).join('')}</ul>`
+                  : '';
+
+                const shot = shots.get(screenshotNodeKey(violation.id, node));
+                const numberBadge = shot?.found ? `<span class="node-number ${escapeHtml(violation.impact)}">#${shot.number}</span> ` : '';
+                const crop = shot?.crop
+                  ? `<a href="${escapeHtml(shot.crop)}" target="_blank"><img class="crop" src="${escapeHtml(shot.crop)}" alt="Screenshot of element #${shot.number}"></a>`
+                  : '';
+
+                return `
+            <li>
+              ${numberBadge}<code>${node.html.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</code>
+              ${checkMessages}
+              ${crop}
+            </li>
+          `;
+              }
+            )
+            .join('')}
+        </ul>
+      </details>
+    </div>
+  `
+    )
+    .join('');
+
+  const violationsSummary = renderViolations(violations);
+
+  // Focus order recorded by the keyboard audit. With checkpoints the
+  // violations are listed per checkpoint, and the audit (which runs after
+  // the final scan) is not one of them, so its findings are listed here.
+  const keyboard = details.keyboard;
+  const checkpoints = results.checkpoints || [];
+  const keyboardFindings = keyboard && checkpoints.length > 0 && keyboard.findings.length > 0
+    ? `<h3>Keyboard Findings</h3>${renderViolations(keyboard.findings)}`
+    : '';
+  const keyboardSummary = keyboard ? `
+  <h2>Keyboard Focus Order (${keyboard.stops.length} stop${keyboard.stops.length === 1 ? '' : 's'})</h2>
+  <div class="keyboard">
+    <p>${escapeHtml(describeKeyboard(keyboard))}.${keyboard.findings.length === 0 ? '' : checkpoints.length > 0 ? ' Keyboard findings are listed below.' : ' Keyboard findings are listed with the violations above.'}</p>
+    ${keyboardFindings}
+    ${keyboard.skipLink ? `<p><strong>Skip link:</strong> "${escapeHtml(keyboard.skipLink.text)}" → <code>${escapeHtml(keyboard.skipLink.href)}</code> ${keyboard.skipLink.works ? '✅ moves focus to its target' : '❌ does not move focus to its target'}</p>` : ''}
+    ${keyboard.trap ? `<p><strong>${keyboard.trap.modal ? 'Focus kept inside a modal dialog' : '❌ Focus trap'}:</strong> ${keyboard.trap.elements.map(selector => `<code>${escapeHtml(selector)}</code>`).join(' → ')}</p>` : ''}
+    ${keyboard.stops.length === 0 ? '<p>No element on the page received keyboard focus.</p>' : `
+    <table>
+      <thead>
+        <tr><th>#</th><th>Element</th><th>Text</th><th>Focus visible</th></tr>
+      </thead>
+      <tbody>
+        ${keyboard.stops.map((stop, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td><code>${escapeHtml(stop.selector)}</code></td>
+          <td>${escapeHtml(stop.text)}</td>
+          <td>${!stop.visible ? '❌ element hidden' : stop.indicator ? '✅' : '❌ no indicator'}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`}
+  </div>` : '';
+
+  // One section per scan checkpoint when the scenario scanned more than once
+  const checkpointsSummary = checkpoints
+    .map(
+      (checkpoint, index) => `
+    <div class="checkpoint">
+      <h3>${index + 1}. ${escapeHtml(checkpoint.name)} (${checkpoint.violations.length} violation${checkpoint.violations.length === 1 ? '' : 's'})</h3>
+      <p><strong>URL:</strong> <a href="${escapeHtml(checkpoint.url)}" target="_blank">${escapeHtml(checkpoint.url)}</a></p>
+      ${checkpoint.violations.length === 0 ? '<p>✅ No accessibility violations found at this checkpoint.</p>' : renderViolations(checkpoint.violations)}
+    </div>
+  `
+    )
+    .join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Accessibility Report - ${pageName}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      line-height: 1.6;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #f5f5f5;
+    }
+    .header {
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      margin-bottom: 20px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .summary {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 15px;
+      margin-bottom: 20px;
+    }
+    .summary-card {
+      background: white;
+      padding: 15px;
+      border-radius: 8px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .summary-card h3 {
+      margin: 0 0 10px 0;
+      font-size: 14px;
+      color: #666;
+      text-transform: uppercase;
+    }
+    .summary-card .count {
+      font-size: 32px;
+      font-weight: bold;
+    }
+    .violations { color: #d32f2f; }
     .passes { color: #388e3c; }
     .incomplete { color: #f57c00; }
     .inapplicable { color: #757575; }
     .violation {
       background: white;
       padding: 20px;
-      margin-bottom: 15px;
+      margin-bottom: 15px;
+      border-radius: 8px;
+      border-left: 4px solid;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .violation.critical { border-left-color: #d32f2f; }
+    .violation.serious { border-left-color: #f57c00; }
+    .violation.moderate { border-left-color: #ffa726; }
+    .violation.minor { border-left-color: #ffeb3b; }
+    .violation.suppressed { border-left-color: #9e9e9e; }
+    .checkpoint {
+      border-top: 2px solid #e0e0e0;
+      margin-top: 20px;
+    }
+    .node-number {
+      display: inline-block;
+      color: white;
+      background: #757575;
+      font-weight: bold;
+      font-size: 12px;
+      padding: 0 6px;
+      border-radius: 3px;
+    }
+    .node-number.critical { background: #d32f2f; }
+    .node-number.serious { background: #f57c00; }
+    .node-number.moderate { background: #fbc02d; color: #333; }
+    img.crop {
+      display: block;
+      max-width: 400px;
+      max-height: 200px;
+      margin: 8px 0;
+      border: 1px solid #ddd;
+    }
+    .screenshot img {
+      max-width: 100%;
+      margin-top: 10px;
+      border: 1px solid #ddd;
+    }
+    .keyboard {
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .keyboard table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    .keyboard th, .keyboard td {
+      text-align: left;
+      padding: 6px 8px;
+      border-bottom: 1px solid #eee;
+    }
+    .violation h3 {
+      margin-top: 0;
+      color: #333;
+    }
+    code {
+      background: #f5f5f5;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-size: 14px;
+      display: inline-block;
+      max-width: 100%;
+      overflow-wrap: break-word;
+    }
+    details {
+      margin-top: 10px;
+    }
+    summary {
+      cursor: pointer;
+      color: #1976d2;
+      font-weight: 500;
+    }
+    summary:hover {
+      text-decoration: underline;
+    }
+    ul {
+      margin: 10px 0;
+    }
+    .no-violations {
+      background: #e8f5e9;
+      color: #2e7d32;
+      padding: 20px;
+      border-radius: 8px;
+      text-align: center;
+      font-size: 18px;
+      font-weight: 500;
+    }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>🌐 Accessibility Report</h1>
+    <p><strong>Test:</strong> ${testName}</p>
+    <p><strong>Page:</strong> ${pageName}</p>
+    <p><strong>URL:</strong> <a href="${url}" target="_blank">${url}</a></p>
+    ${details.viewport ? `<p><strong>Viewport:</strong> ${details.viewport.name} (${details.viewport.width}×${details.viewport.height})</p>` : ''}
+    ${details.readiness ? `<p><strong>Ready after:</strong> ${escapeHtml(describeReadiness(details.readiness))}</p>` : ''}
+    ${details.overlay ? `<p><strong>Overlay:</strong> ${describeOverlay(details.overlay, escapeHtml)}</p>` : ''}
+    ${keyboard ? `<p><strong>Keyboard:</strong> ${escapeHtml(describeKeyboard(keyboard))}</p>` : ''}
+    <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+  </div>
+
+  <div class="summary">
+    <div class="summary-card">
+      <h3>Violations</h3>
+      <div class="count violations">${violations.length}</div>
+    </div>
+    <div class="summary-card">
+      <h3>Passes</h3>
+      <div class="count passes">${passes.length}</div>
+    </div>
+    <div class="summary-card">
+      <h3>Incomplete</h3>
+      <div class="count incomplete">${incomplete.length}</div>
+    </div>
+    <div class="summary-card">
+      <h3>Inapplicable</h3>
+      <div class="count inapplicable">${inapplicable.length}</div>
+    </div>
+  </div>
+
+  ${screenshots ? `
+  <details class="screenshot header">
+    <summary>Screenshot${screenshots.annotated ? ` (numbered outlines mark the ${screenshots.nodes.filter(n => n.found).length} affected elements listed below)` : ''}</summary>
+    <a href="${escapeHtml(screenshots.file)}" target="_blank"><img src="${escapeHtml(screenshots.file)}" alt="Full-page screenshot of ${escapeHtml(pageName)}"></a>
+  </details>` : ''}
+
+  ${
+    violations.length === 0
+      ? '<div class="no-violations">✅ No accessibility violations found!</div>'
+      : checkpoints.length > 0
+        ? `<h2>Violations Found (${violations.length} across ${checkpoints.length} checkpoints)</h2>${checkpointsSummary}`
+        : `<h2>Violations Found (${violations.length})</h2>${violationsSummary}`
+  }
+${keyboardSummary}
+
+  ${
+    suppressed.length > 0
+      ? `<h2>Suppressed (${suppressed.length})</h2>
+  <p>These violations match an <code>ignore</code> entry in the config and do not count towards failure.</p>${suppressedSummary}`
+      : ''
+  }
+</body>
+</html>
+  `;
+}
+
+// Generate Markdown report for Confluence
+function generateMarkdownReport(results, pageName, url, testName, details = {}) {
+  const { violations, passes, incomplete, inapplicable } = results;
+  const timestamp = new Date().toLocaleString();
+  const screenshots = details.screenshots;
+  const shots = new Map((screenshots?.nodes || []).map(node => [screenshotNodeKey(node.rule, node), node]));
+
+  // Group violations by severity
+  const violationsBySeverity = {
+    critical: violations.filter(v => v.impact === 'critical'),
+    serious: violations.filter(v => v.impact === 'serious'),
+    moderate: violations.filter(v => v.impact === 'moderate'),
+    minor: violations.filter(v => v.impact === 'minor')
+  };
+
+  let markdown = `# Accessibility Test Report: ${pageName}\n\n`;
+  markdown += `**Test Name:** ${testName}\n`;
+  markdown += `**URL:** ${url}\n`;
+  if (details.viewport) {
+    markdown += `**Viewport:** ${details.viewport.name} (${details.viewport.width}×${details.viewport.height})\n`;
+  }
+  if (details.readiness) {
+    markdown += `**Ready after:** ${describeReadiness(details.readiness)}\n`;
+  }
+  if (details.overlay) {
+    markdown += `**Overlay:** ${describeOverlay(details.overlay, text => text.replace(/`/g, "'"))}\n`;
+  }
+  if (details.keyboard) {
+    markdown += `**Keyboard:** ${describeKeyboard(details.keyboard)}\n`;
+  }
+  markdown += `**Date:** ${timestamp}\n`;
+  markdown += `**Axe Version:** ${results.testEngine.version}\n\n`;
+
+  markdown += `---\n\n`;
+
+  // Summary table
+  markdown += `## Summary\n\n`;
+  markdown += `| Metric | Count |\n`;
+  markdown += `|--------|-------|\n`;
+  markdown += `| 🔴 **Violations** | **${violations.length}** |\n`;
+  markdown += `| ✅ Passes | ${passes.length} |\n`;
+  markdown += `| ⚠️ Incomplete | ${incomplete.length} |\n`;
+  markdown += `| ℹ️ Inapplicable | ${inapplicable.length} |\n\n`;
+
+  if (screenshots) {
+    markdown += `**Screenshot:** [${screenshots.file}](${encodeURI(screenshots.file)})`;
+    markdown += screenshots.annotated ? ` (affected elements are outlined and numbered, e.g. #1)\n\n` : `\n\n`;
+  }
+
+  // Violations by severity
+  if (violations.length > 0) {
+    markdown += `### Violations by Severity\n\n`;
+    markdown += `| Severity | Count |\n`;
+    markdown += `|----------|-------|\n`;
+    markdown += `| 🔴 Critical | ${violationsBySeverity.critical.length} |\n`;
+    markdown += `| 🟠 Serious | ${violationsBySeverity.serious.length} |\n`;
+    markdown += `| 🟡 Moderate | ${violationsBySeverity.moderate.length} |\n`;
+    markdown += `| ⚪ Minor | ${violationsBySeverity.minor.length} |\n\n`;
+
+    // One section per scan checkpoint when the scenario scanned more than once
+    (results.checkpoints || []).forEach((checkpoint, index) => {
+      markdown += `### Checkpoint ${index + 1}: ${checkpoint.name}\n\n`;
+      markdown += `**URL:** ${checkpoint.url}\n\n`;
+      if (checkpoint.violations.length === 0) {
+        markdown += `No violations at this checkpoint.\n\n`;
+        return;
+      }
+      markdown += `| Rule | Impact | Nodes |\n`;
+      markdown += `|------|--------|-------|\n`;
+      checkpoint.violations.forEach(violation => {
+        markdown += `| [${violation.id}](${violation.helpUrl}) | ${violation.impact || 'n/a'} | ${violation.nodes.length} |\n`;
+      });
+      markdown += `\n`;
+    });
+
+    markdown += `---\n\n`;
+
+    // Detailed violations
+    markdown += `## Violations Details\n\n`;
+
+    ['critical', 'serious', 'moderate', 'minor'].forEach(severity => {
+      const severityViolations = violationsBySeverity[severity];
+      if (severityViolations.length > 0) {
+        const emoji = severity === 'critical' ? '🔴' :
+                     severity === 'serious' ? '🟠' :
+                     severity === 'moderate' ? '🟡' : '⚪';
+
+        markdown += `### ${emoji} ${severity.charAt(0).toUpperCase() + severity.slice(1)} Issues (${severityViolations.length})\n\n`;
+
+        severityViolations.forEach((violation, index) => {
+          markdown += `#### ${index + 1}. ${violation.id}\n\n`;
+          markdown += `**Impact:** ${violation.impact}\n\n`;
+          markdown += `**Description:** ${violation.help}\n\n`;
+          markdown += `${violation.description}\n\n`;
+          markdown += `**Nodes Affected:** ${violation.nodes.length}\n\n`;
+          markdown += `**WCAG Reference:** [${violation.id}](${violation.helpUrl})\n\n`;
+
+          // Show first few affected elements
+          if (violation.nodes.length > 0) {
+            markdown += `**Affected Elements:**\n\n`;
+            const nodesToShow = Math.min(3, violation.nodes.length);
+            for (let i = 0; i < nodesToShow; i++) {
+              const node = violation.nodes[i];
+              const shot = shots.get(screenshotNodeKey(violation.id, node));
+              const shotRef = shot?.found
+                ? ` (#${shot.number}${shot.crop ? `, [screenshot](${encodeURI(shot.crop)})` : ''})`
+                : '';
+              markdown += `${i + 1}. \`${node.html.replace(/`/g, '\\`')}\`${shotRef}\n`;
+
+              // Add failure messages if available
+              const allChecks = [
+                ...(node.any || []),
+                ...(node.all || []),
+                ...(node.none || [])
+              ];
+              const meaningfulChecks = allChecks.filter(check =>
+                (check.message && check.message.trim()) || (check.id && check.id.trim())
+              );
+
+              if (meaningfulChecks.length > 0) {
+                meaningfulChecks.forEach(check => {
+                  markdown += `   - ${check.message || check.id}\n`;
+                });
+              }
+              markdown += `\n`;
+            }
+
+            if (violation.nodes.length > nodesToShow) {
+              markdown += `*...and ${violation.nodes.length - nodesToShow} more*\n\n`;
+            }
+          }
+
+          markdown += `---\n\n`;
+        });
+      }
+    });
+  } else {
+    markdown += `## ✅ No Violations Found\n\n`;
+    markdown += `All accessibility checks passed!\n\n`;
+  }
+
+  // Suppressed violations
+  const suppressed = results.suppressed || [];
+  if (suppressed.length > 0) {
+    markdown += `## 🔕 Suppressed (${suppressed.length})\n\n`;
+    markdown += `These violations match an \`ignore\` entry in the config and do not count towards failure:\n\n`;
+    markdown += `| Rule | Impact | Nodes | Reason | Expires |\n`;
+    markdown += `|------|--------|-------|--------|---------|\n`;
+    suppressed.forEach(item => {
+      const reason = String(item.suppression.reason).replace(/\|/g, '\\|');
+      markdown += `| [${item.id}](${item.helpUrl})${item.type === 'incomplete' ? ' (incomplete)' : ''} | ${item.impact || 'n/a'} | ${item.nodes.length} | ${reason} | ${item.suppression.expires || '-'} |\n`;
+    });
+    markdown += `\n`;
+  }
+
+  // Focus order recorded by the keyboard audit
+  const keyboard = details.keyboard;
+  if (keyboard) {
+    const cell = text => String(text).replace(/\|/g, '\\|').replace(/`/g, "'");
+    markdown += `## ⌨️ Keyboard Focus Order (${keyboard.stops.length})\n\n`;
+    markdown += `${describeKeyboard(keyboard)}.${keyboard.findings.length > 0 ? ' Keyboard findings are listed with the violations above.' : ''}\n\n`;
+    // The checkpoint tables above only cover the axe scans
+    if (keyboard.findings.length > 0 && (results.checkpoints || []).length > 0) {
+      markdown += `| Keyboard finding | Impact | Nodes |\n`;
+      markdown += `|------------------|--------|-------|\n`;
+      keyboard.findings.forEach(finding => {
+        markdown += `| [${finding.id}](${finding.helpUrl}) | ${finding.impact} | ${finding.nodes.length} |\n`;
+      });
+      markdown += `\n`;
+    }
+    if (keyboard.skipLink) {
+      markdown += `**Skip link:** "${keyboard.skipLink.text}" → \`${keyboard.skipLink.href}\` ${keyboard.skipLink.works ? '✅ moves focus to its target' : '❌ does not move focus to its target'}\n\n`;
+    }
+    if (keyboard.trap) {
+      markdown += `**${keyboard.trap.modal ? 'Focus kept inside a modal dialog' : '❌ Focus trap'}:** ${keyboard.trap.elements.map(selector => `\`${selector}\``).join(' → ')}\n\n`;
+    }
+    if (keyboard.stops.length > 0) {
+      markdown += `| # | Element | Text | Focus visible |\n`;
+      markdown += `|---|---------|------|---------------|\n`;
+      keyboard.stops.forEach((stop, index) => {
+        markdown += `| ${index + 1} | \`${cell(stop.selector)}\` | ${cell(stop.text)} | ${!stop.visible ? '❌ element hidden' : stop.indicator ? '✅' : '❌ no indicator'} |\n`;
+      });
+      markdown += `\n`;
+    }
+  }
+
+  // Incomplete checks
+  if (incomplete.length > 0) {
+    markdown += `## ⚠️ Incomplete Checks (${incomplete.length})\n\n`;
+    markdown += `These checks require manual review:\n\n`;
+
+    incomplete.forEach((item, index) => {
+      markdown += `### ${index + 1}. ${item.id}\n\n`;
+      markdown += `**Description:** ${item.help}\n\n`;
+      markdown += `${item.description}\n\n`;
+      markdown += `**Nodes to Review:** ${item.nodes.length}\n\n`;
+      markdown += `**Reference:** [${item.id}](${item.helpUrl})\n\n`;
+      markdown += `---\n\n`;
+    });
+  }
+
+  return markdown;
+}
+
+// Failure messages of an axe node's checks
+function checkMessages(node) {
+  return [...(node.any || []), ...(node.all || []), ...(node.none || [])]
+    .map(check => (check.message && check.message.trim()) || check.id)
+    .filter(Boolean);
+}
+
+// Compact copy of an axe rule result (without check data) for run-level reporters
+function compactRule(rule) {
+  return {
+    id: rule.id,
+    impact: rule.impact,
+    help: rule.help,
+    description: rule.description,
+    helpUrl: rule.helpUrl,
+    tags: rule.tags,
+    nodes: rule.nodes.map(node => ({
+      target: node.target,
+      html: node.html,
+      impact: node.impact,
+      messages: checkMessages(node),
+    })),
+  };
+}
+
+// Escape text for use in HTML reports
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Totals across all test results (the numbers printed in the summary)
+function summarizeResults(results) {
+  const sum = key => results.reduce((total, r) => total + (r[key] || 0), 0);
+  return {
+    tests: results.length,
+    passed: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length,
+    violations: sum('violations'),
+    critical: sum('critical'),
+    serious: sum('serious'),
+    moderate: sum('moderate'),
+    minor: sum('minor'),
+    failingViolations: sum('failingViolations'),
+  };
+}
+
+// Build the run-level summary: every scenario plus a roll-up of rules
+// across the site with the pages each rule affects
+function buildRunSummary(results, config, browsers) {
+  const reportsDir = path.resolve(config.outputDir);
+  const relative = file => (file ? path.relative(reportsDir, file).split(path.sep).join('/') : null);
+
+  const scenarios = results.map(r => ({
+    testName: r.testName,
+    url: r.url,
+    browser: r.browser,
+    viewport: r.viewport || null,
+    success: r.success,
+    error: r.error || null,
+    violations: r.violations || 0,
+    critical: r.critical || 0,
+    serious: r.serious || 0,
+    moderate: r.moderate || 0,
+    minor: r.minor || 0,
+    incomplete: r.incomplete || 0,
+    suppressed: r.suppressed || 0,
+    failingViolations: r.failingViolations || 0,
+    readyMs: r.readyMs ?? null,
+    reports: r.reports
+      ? Object.fromEntries(Object.entries(r.reports).map(([type, file]) => [type, relative(file)]))
+      : null,
+  }));
+
+  const rules = new Map();
+  results.forEach((r, index) => {
+    (r.rules || []).forEach(rule => {
+      if (!rules.has(rule.id)) {
+        rules.set(rule.id, {
+          id: rule.id,
+          impact: rule.impact,
+          help: rule.help,
+          helpUrl: rule.helpUrl,
+          nodes: 0,
+          pages: [],
+        });
+      }
+      const entry = rules.get(rule.id);
+      entry.nodes += rule.nodes;
+      entry.pages.push({
+        testName: r.testName,
+        url: r.url,
+        browser: r.browser,
+        viewport: r.viewport || null,
+        nodes: rule.nodes,
+        report: scenarios[index].reports?.html || null,
+      });
+    });
+  });
+
+  const impactRank = impact => severityLevels.indexOf(impact);
+  const topRules = [...rules.values()]
+    .map(rule => ({ ...rule, pageCount: new Set(rule.pages.map(p => p.url)).size }))
+    .sort((a, b) => b.pageCount - a.pageCount || impactRank(b.impact) - impactRank(a.impact) || b.nodes - a.nodes);
+
+  return {
+    generated: new Date().toISOString(),
+    name: config.name || 'Accessibility Test',
+    failOn: config.failOn,
+    browsers,
+    totals: summarizeResults(results),
+    scenarios,
+    rules: topRules,
+  };
+}
+
+// Map axe impact to SARIF result level
+function sarifLevel(impact) {
+  switch (impact) {
+    case 'critical':
+    case 'serious':
+      return 'error';
+    case 'moderate':
+      return 'warning';
+    default:
+      return 'note';
+  }
+}
+
+// Generate a SARIF 2.1.0 log for GitHub code scanning. All scenarios are
+// merged into a single run: one SARIF rule per axe rule, one result per node.
+function generateSARIFReport(results, config) {
+  const rules = new Map();
+  const sarifResults = [];
+  const axeVersion = results.find(r => r.axeVersion)?.axeVersion;
+
+  results.filter(r => !r.error).forEach(r => {
+    const ruleResults = config.treatIncompleteAsViolations
+      ? [...r.findings.violations, ...r.findings.incomplete]
+      : r.findings.violations;
+
+    ruleResults.forEach(rule => {
+      if (!rules.has(rule.id)) {
+        rules.set(rule.id, {
+          id: rule.id,
+          name: rule.id,
+          shortDescription: { text: rule.help },
+          fullDescription: { text: rule.description },
+          helpUri: rule.helpUrl,
+          help: {
+            text: `${rule.help}. See ${rule.helpUrl}`,
+            markdown: `**${rule.help}**\n\n${rule.description}\n\n[Learn more](${rule.helpUrl})`,
+          },
+          defaultConfiguration: { level: sarifLevel(rule.impact) },
+          properties: {
+            tags: ['accessibility', ...(rule.tags || [])],
+            precision: 'very-high',
+            impact: rule.impact,
+          },
+        });
+      }
+
+      rule.nodes.forEach(node => {
+        const target = [].concat(...node.target).join(' ');
+        const impact = node.impact || rule.impact;
+        sarifResults.push({
+          ruleId: rule.id,
+          ruleIndex: [...rules.keys()].indexOf(rule.id),
+          level: sarifLevel(impact),
+          message: {
+            text: [`${rule.help} (${target})`, ...node.messages].join('\n'),
+          },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: r.url },
+                // Pages have no source lines; code scanning needs a region
+                region: { startLine: 1, snippet: { text: node.html } },
+              },
+              logicalLocations: [
+                { fullyQualifiedName: target, kind: 'element' },
+              ],
+            },
+          ],
+          partialFingerprints: {
+            'a11yNodeFingerprint/v1': `${pageKey(r.url)}|${fingerprintNode(node)}`,
+          },
+          properties: {
+            impact,
+            scenario: r.testName,
+            browser: r.browser,
+            ...(r.viewport ? { viewport: r.viewport } : {}),
+          },
+        });
+      });
+    });
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'axe-core',
+            ...(axeVersion ? { version: axeVersion } : {}),
+            informationUri: 'https://github.com/dequelabs/axe-core',
+            rules: [...rules.values()],
+          },
+        },
+        results: sarifResults,
+      },
+    ],
+  };
+}
+
+const issueFormats = {
+  jira: 'issues-jira.csv',
+  github: 'issues-github.json',
+  csv: 'issues.csv',
+};
+
+// Issue exports to write: config.issues (array or comma-separated string)
+function resolveIssueFormats(config) {
+  if (!config.issues) {
+    return [];
+  }
+  const formats = (Array.isArray(config.issues) ? config.issues : String(config.issues).split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = formats.filter(name => !issueFormats[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown issue export(s): ${unknown.join(', ')} (use ${Object.keys(issueFormats).join(', ')})`);
+  }
+  return [...new Set(formats)];
+}
+
+// WCAG success criteria from axe tags, e.g. wcag143 -> 1.4.3
+function wcagCriteria(tags = []) {
+  return tags
+    .map(tag => /^wcag(\d)(\d)(\d{1,2})$/.exec(tag))
+    .filter(Boolean)
+    .map(([, principle, guideline, criterion]) => `${principle}.${guideline}.${criterion}`);
+}
+
+// Group violations into tickets: one per rule per scenario (the page
+// template), merging browsers, viewports and duplicate nodes. The
+// fingerprint hashes the rule, scenario and page path only, so re-exports of
+// the same problem keep their id when the affected elements or host change.
+function collectIssues(results, config) {
+  const issues = new Map();
+
+  results.filter(r => !r.error).forEach(r => {
+    const ruleResults = config.treatIncompleteAsViolations
+      ? [...r.findings.violations, ...r.findings.incomplete]
+      : r.findings.violations;
+
+    ruleResults.forEach(rule => {
+      const page = pageKey(r.url);
+      const key = `${rule.id}|${r.testName}`;
+      if (!issues.has(key)) {
+        issues.set(key, {
+          fingerprint: `a11y-${crypto.createHash('sha1').update(`${rule.id}|${r.testName}|${page}`).digest('hex').slice(0, 12)}`,
+          rule: rule.id,
+          impact: rule.impact,
+          help: rule.help,
+          description: rule.description,
+          helpUrl: rule.helpUrl,
+          wcag: wcagCriteria(rule.tags),
+          scenario: r.testName,
+          page,
+          url: r.url,
+          browsers: [],
+          viewports: [],
+          nodes: new Map(),
+          screenshots: [],
+        });
+      }
+      const issue = issues.get(key);
+      // Keep the worst impact seen in any browser or viewport
+      if (severityLevels.indexOf(rule.impact) > severityLevels.indexOf(issue.impact)) {
+        issue.impact = rule.impact;
+      }
+      issue.browsers = [...new Set([...issue.browsers, r.browser])];
+      issue.viewports = [...new Set([...issue.viewports, ...(r.viewport ? [r.viewport] : [])])];
+      if (r.reports?.screenshot && !issue.screenshots.includes(r.reports.screenshot)) {
+        issue.screenshots.push(r.reports.screenshot);
+      }
+      rule.nodes.forEach(node => {
+        const target = [].concat(...node.target).join(' ');
+        if (!issue.nodes.has(target)) {
+          issue.nodes.set(target, { target, html: node.html });
+        }
+      });
+    });
+  });
+
+  return [...issues.values()]
+    .map(issue => ({
+      ...issue,
+      summary: `[a11y] ${issue.help} (${issue.rule}) on ${issue.scenario}`,
+      nodes: [...issue.nodes.values()],
+    }))
+    .sort((a, b) => severityLevels.indexOf(b.impact) - severityLevels.indexOf(a.impact)
+      || a.scenario.localeCompare(b.scenario)
+      || a.rule.localeCompare(b.rule));
+}
+
+// Quote a CSV field (RFC 4180)
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRows(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Jira priorities for axe impacts
+const jiraPriorities = { critical: 'Highest', serious: 'High', moderate: 'Medium', minor: 'Low' };
+
+// Issue description in Jira wiki markup
+function jiraDescription(issue) {
+  return [
+    `*${issue.help}*`,
+    '',
+    issue.description,
+    '',
+    `*Page:* [${issue.url}]`,
+    `*Impact:* ${issue.impact}`,
+    ...(issue.wcag.length > 0 ? [`*WCAG:* ${issue.wcag.join(', ')}`] : []),
+    `*Browsers:* ${issue.browsers.join(', ')}`,
+    ...(issue.viewports.length > 0 ? [`*Viewports:* ${issue.viewports.join(', ')}`] : []),
+    `*Rule:* [${issue.rule}|${issue.helpUrl}]`,
+    '',
+    `*Affected elements (${issue.nodes.length}):*`,
+    ...issue.nodes.map(node => `* {{${node.target}}}`),
+    ...(issue.screenshots.length > 0 ? ['', '*Screenshots:*', ...issue.screenshots.map(file => `* ${file}`)] : []),
+    '',
+    `Fingerprint: ${issue.fingerprint}`,
+  ].join('\n');
+}
+
+// Jira CSV import: repeated Labels columns become multiple labels, and the
+// fingerprint is a label too so existing tickets can be found with JQL
+function generateJiraCsv(issues) {
+  const labelColumns = Math.max(0, ...issues.map(issue => 2 + issue.wcag.length));
+  const labels = issue => ['accessibility', issue.fingerprint, ...issue.wcag.map(sc => `WCAG-${sc}`)];
+  return csvRows([
+    ['Summary', 'Issue Type', 'Priority', ...Array(labelColumns).fill('Labels'), 'Description', 'Fingerprint'],
+    ...issues.map(issue => {
+      const issueLabels = labels(issue);
+      return [
+        issue.summary,
+        'Bug',
+        jiraPriorities[issue.impact] || 'Medium',
+        ...issueLabels,
+        ...Array(labelColumns - issueLabels.length).fill(''),
+        jiraDescription(issue),
+        issue.fingerprint,
+      ];
+    }),
+  ]);
+}
+
+// GitHub issue bodies (Markdown). The fingerprint is in an HTML comment so
+// it can be searched for without cluttering the issue.
+function githubIssueBody(issue) {
+  return [
+    `**${issue.help}**`,
+    '',
+    issue.description,
+    '',
+    `- **Page:** ${issue.url}`,
+    `- **Impact:** ${issue.impact}`,
+    ...(issue.wcag.length > 0 ? [`- **WCAG:** ${issue.wcag.join(', ')}`] : []),
+    `- **Browsers:** ${issue.browsers.join(', ')}`,
+    ...(issue.viewports.length > 0 ? [`- **Viewports:** ${issue.viewports.join(', ')}`] : []),
+    `- **Rule:** [${issue.rule}](${issue.helpUrl})`,
+    '',
+    `### Affected elements (${issue.nodes.length})`,
+    '',
+    ...issue.nodes.map(node => `- \`${node.target.replace(/`/g, "'")}\``),
+    ...(issue.screenshots.length > 0 ? ['', '### Screenshots', '', ...issue.screenshots.map(file => `- \`${file}\``)] : []),
+    '',
+    `<!-- a11y-fingerprint: ${issue.fingerprint} -->`,
+  ].join('\n');
+}
+
+// GitHub issues: one "create an issue" REST payload per ticket
+function generateGithubIssues(issues) {
+  return issues.map(issue => ({
+    title: issue.summary,
+    body: githubIssueBody(issue),
+    labels: ['accessibility', `a11y:${issue.impact}`, ...issue.wcag.map(sc => `wcag ${sc}`)],
+  }));
+}
+
+// Generic CSV: one row per ticket, multi-valued fields separated by newlines
+function generateIssuesCsv(issues) {
+  return csvRows([
+    ['Fingerprint', 'Summary', 'Rule', 'Impact', 'WCAG', 'Scenario', 'Page', 'URL', 'Browsers', 'Viewports', 'Nodes', 'Selectors', 'Help URL', 'Screenshots'],
+    ...issues.map(issue => [
+      issue.fingerprint,
+      issue.summary,
+      issue.rule,
+      issue.impact,
+      issue.wcag.join(', '),
+      issue.scenario,
+      issue.page,
+      issue.url,
+      issue.browsers.join(', '),
+      issue.viewports.join(', '),
+      issue.nodes.length,
+      issue.nodes.map(node => node.target).join('\n'),
+      issue.helpUrl,
+      issue.screenshots.join('\n'),
+    ]),
+  ]);
+}
+
+// Write the configured issue exports to the output directory
+function writeIssueExports(results, config) {
+  const issues = collectIssues(results, config);
+  const reportsDir = path.resolve(config.outputDir);
+  fs.mkdirSync(reportsDir, { recursive: true });
+
+  return resolveIssueFormats(config).map(format => {
+    const file = path.join(reportsDir, issueFormats[format]);
+    const content = format === 'jira' ? generateJiraCsv(issues)
+      : format === 'github' ? JSON.stringify(generateGithubIssues(issues), null, 2)
+        : generateIssuesCsv(issues);
+    fs.writeFileSync(file, content, 'utf8');
+    return { format, file, issues: issues.length };
+  });
+}
+
+// WCAG 2.x success criteria: number, name, level and the version that added
+// it. 4.1.1 Parsing was removed in WCAG 2.2.
+const wcagSuccessCriteria = [
+  ['1.1.1', 'Non-text Content', 'A', '2.0'],
+  ['1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A', '2.0'],
+  ['1.2.2', 'Captions (Prerecorded)', 'A', '2.0'],
+  ['1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A', '2.0'],
+  ['1.2.4', 'Captions (Live)', 'AA', '2.0'],
+  ['1.2.5', 'Audio Description (Prerecorded)', 'AA', '2.0'],
+  ['1.2.6', 'Sign Language (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.7', 'Extended Audio Description (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.8', 'Media Alternative (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.9', 'Audio-only (Live)', 'AAA', '2.0'],
+  ['1.3.1', 'Info and Relationships', 'A', '2.0'],
+  ['1.3.2', 'Meaningful Sequence', 'A', '2.0'],
+  ['1.3.3', 'Sensory Characteristics', 'A', '2.0'],
+  ['1.3.4', 'Orientation', 'AA', '2.1'],
+  ['1.3.5', 'Identify Input Purpose', 'AA', '2.1'],
+  ['1.3.6', 'Identify Purpose', 'AAA', '2.1'],
+  ['1.4.1', 'Use of Color', 'A', '2.0'],
+  ['1.4.2', 'Audio Control', 'A', '2.0'],
+  ['1.4.3', 'Contrast (Minimum)', 'AA', '2.0'],
+  ['1.4.4', 'Resize Text', 'AA', '2.0'],
+  ['1.4.5', 'Images of Text', 'AA', '2.0'],
+  ['1.4.6', 'Contrast (Enhanced)', 'AAA', '2.0'],
+  ['1.4.7', 'Low or No Background Audio', 'AAA', '2.0'],
+  ['1.4.8', 'Visual Presentation', 'AAA', '2.0'],
+  ['1.4.9', 'Images of Text (No Exception)', 'AAA', '2.0'],
+  ['1.4.10', 'Reflow', 'AA', '2.1'],
+  ['1.4.11', 'Non-text Contrast', 'AA', '2.1'],
+  ['1.4.12', 'Text Spacing', 'AA', '2.1'],
+  ['1.4.13', 'Content on Hover or Focus', 'AA', '2.1'],
+  ['2.1.1', 'Keyboard', 'A', '2.0'],
+  ['2.1.2', 'No Keyboard Trap', 'A', '2.0'],
+  ['2.1.3', 'Keyboard (No Exception)', 'AAA', '2.0'],
+  ['2.1.4', 'Character Key Shortcuts', 'A', '2.1'],
+  ['2.2.1', 'Timing Adjustable', 'A', '2.0'],
+  ['2.2.2', 'Pause, Stop, Hide', 'A', '2.0'],
+  ['2.2.3', 'No Timing', 'AAA', '2.0'],
+  ['2.2.4', 'Interruptions', 'AAA', '2.0'],
+  ['2.2.5', 'Re-authenticating', 'AAA', '2.0'],
+  ['2.2.6', 'Timeouts', 'AAA', '2.1'],
+  ['2.3.1', 'Three Flashes or Below Threshold', 'A', '2.0'],
+  ['2.3.2', 'Three Flashes', 'AAA', '2.0'],
+  ['2.3.3', 'Animation from Interactions', 'AAA', '2.1'],
+  ['2.4.1', 'Bypass Blocks', 'A', '2.0'],
+  ['2.4.2', 'Page Titled', 'A', '2.0'],
+  ['2.4.3', 'Focus Order', 'A', '2.0'],
+  ['2.4.4', 'Link Purpose (In Context)', 'A', '2.0'],
+  ['2.4.5', 'Multiple Ways', 'AA', '2.0'],
+  ['2.4.6', 'Headings and Labels', 'AA', '2.0'],
+  ['2.4.7', 'Focus Visible', 'AA', '2.0'],
+  ['2.4.8', 'Location', 'AAA', '2.0'],
+  ['2.4.9', 'Link Purpose (Link Only)', 'AAA', '2.0'],
+  ['2.4.10', 'Section Headings', 'AAA', '2.0'],
+  ['2.4.11', 'Focus Not Obscured (Minimum)', 'AA', '2.2'],
+  ['2.4.12', 'Focus Not Obscured (Enhanced)', 'AAA', '2.2'],
+  ['2.4.13', 'Focus Appearance', 'AAA', '2.2'],
+  ['2.5.1', 'Pointer Gestures', 'A', '2.1'],
+  ['2.5.2', 'Pointer Cancellation', 'A', '2.1'],
+  ['2.5.3', 'Label in Name', 'A', '2.1'],
+  ['2.5.4', 'Motion Actuation', 'A', '2.1'],
+  ['2.5.5', 'Target Size (Enhanced)', 'AAA', '2.1'],
+  ['2.5.6', 'Concurrent Input Mechanisms', 'AAA', '2.1'],
+  ['2.5.7', 'Dragging Movements', 'AA', '2.2'],
+  ['2.5.8', 'Target Size (Minimum)', 'AA', '2.2'],
+  ['3.1.1', 'Language of Page', 'A', '2.0'],
+  ['3.1.2', 'Language of Parts', 'AA', '2.0'],
+  ['3.1.3', 'Unusual Words', 'AAA', '2.0'],
+  ['3.1.4', 'Abbreviations', 'AAA', '2.0'],
+  ['3.1.5', 'Reading Level', 'AAA', '2.0'],
+  ['3.1.6', 'Pronunciation', 'AAA', '2.0'],
+  ['3.2.1', 'On Focus', 'A', '2.0'],
+  ['3.2.2', 'On Input', 'A', '2.0'],
+  ['3.2.3', 'Consistent Navigation', 'AA', '2.0'],
+  ['3.2.4', 'Consistent Identification', 'AA', '2.0'],
+  ['3.2.5', 'Change on Request', 'AAA', '2.0'],
+  ['3.2.6', 'Consistent Help', 'A', '2.2'],
+  ['3.3.1', 'Error Identification', 'A', '2.0'],
+  ['3.3.2', 'Labels or Instructions', 'A', '2.0'],
+  ['3.3.3', 'Error Suggestion', 'AA', '2.0'],
+  ['3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA', '2.0'],
+  ['3.3.5', 'Help', 'AAA', '2.0'],
+  ['3.3.6', 'Error Prevention (All)', 'AAA', '2.0'],
+  ['3.3.7', 'Redundant Entry', 'A', '2.2'],
+  ['3.3.8', 'Accessible Authentication (Minimum)', 'AA', '2.2'],
+  ['3.3.9', 'Accessible Authentication (Enhanced)', 'AAA', '2.2'],
+  ['4.1.1', 'Parsing', 'A', '2.0'],
+  ['4.1.2', 'Name, Role, Value', 'A', '2.0'],
+  ['4.1.3', 'Status Messages', 'AA', '2.1'],
+].map(([id, name, level, version]) => ({ id, name, level, version }));
+
+const wcagVersions = ['2.0', '2.1', '2.2'];
+const wcagLevels = ['A', 'AA', 'AAA'];
+
+// VPAT 2.x conformance levels, in report order
+const conformanceStatuses = {
+  supports: 'Supports',
+  partial: 'Partially Supports',
+  fails: 'Does Not Support',
+  review: 'Needs manual review',
+  notEvaluated: 'Not Evaluated',
+};
+
+// Scope of the conformance report: config.conformance (true, or
+// { version, level }). Without a version or level, the highest ones in the
+// axe tags are used, e.g. wcag21aa -> WCAG 2.1 AA.
+function resolveConformance(config) {
+  const value = config.conformance;
+  if (!value) {
+    return null;
+  }
+  const options = typeof value === 'object' ? value : {};
+  const tags = [config, ...(config.scenarios || [])]
+    .flatMap(source => resolveRuleset(source).tags)
+    .map(tag => /^wcag(2\d?)(a{1,3})$/.exec(tag))
+    .filter(Boolean);
+  const inferredVersion = tags.length > 0
+    ? wcagVersions[Math.max(...tags.map(([, version]) => ['2', '21', '22'].indexOf(version)))]
+    : '2.1';
+  const inferredLevel = tags.length > 0
+    ? wcagLevels[Math.max(...tags.map(([, , level]) => level.length - 1))]
+    : 'AA';
+
+  const version = String(options.version || inferredVersion);
+  const level = String(options.level || inferredLevel).toUpperCase();
+  if (!wcagVersions.includes(version)) {
+    throw new Error(`Unknown WCAG version for "conformance": ${version} (use ${wcagVersions.join(', ')})`);
+  }
+  if (!wcagLevels.includes(level)) {
+    throw new Error(`Unknown WCAG level for "conformance": ${level} (use ${wcagLevels.join(', ')})`);
+  }
+  return { version, level };
+}
+
+// Roll the results of all scenarios up into one status per success
+// criterion. A criterion is evaluated on a scenario when any rule tagged
+// with it ran there. It does not support the criterion when more than half
+// of those scenarios fail it, partially supports it when some do, and needs
+// manual review when axe could only flag it as incomplete. Suppressed
+// violations still count: an ignore entry hides a known defect, it does not
+// fix it.
+function buildConformance(results, scope) {
+  const criteria = wcagSuccessCriteria.filter(sc => sc.version <= scope.version
+    && wcagLevels.indexOf(sc.level) <= wcagLevels.indexOf(scope.level)
+    && !(sc.id === '4.1.1' && scope.version === '2.2'));
+  const byCriterion = new Map(criteria.map(sc => [sc.id, {
+    evaluated: new Set(),
+    failing: new Map(),
+    incomplete: new Map(),
+    rules: new Set(),
+  }]));
+
+  const scenarios = new Set();
+  results.filter(r => !r.error).forEach(r => {
+    scenarios.add(r.testName);
+    const record = (rules, field) => rules.forEach(rule => {
+      wcagCriteria(rule.tags).forEach(id => {
+        const entry = byCriterion.get(id);
+        if (!entry) {
+          return;
+        }
+        entry.evaluated.add(r.testName);
+        entry.rules.add(rule.id);
+        if (field) {
+          const key = `${rule.id}|${r.testName}`;
+          const previous = entry[field].get(key);
+          entry[field].set(key, {
+            rule: rule.id,
+            help: rule.help,
+            scenario: r.testName,
+            nodes: Math.max(previous?.nodes || 0, rule.nodes.length),
+          });
+        }
+      });
+    });
+    record(r.findings.passes, null);
+    record(r.findings.violations, 'failing');
+    record(r.findings.suppressed.filter(rule => rule.type === 'violation'), 'failing');
+    record(r.findings.incomplete, 'incomplete');
+    record(r.findings.suppressed.filter(rule => rule.type === 'incomplete'), 'incomplete');
+  });
+
+  const describe = findings => {
+    const byRule = new Map();
+    findings.forEach(finding => {
+      const rule = byRule.get(finding.rule) || { ...finding, nodes: 0, scenarios: [] };
+      rule.nodes += finding.nodes;
+      rule.scenarios.push(finding.scenario);
+      byRule.set(finding.rule, rule);
+    });
+    return [...byRule.values()];
+  };
+
+  const rows = criteria.map(sc => {
+    const entry = byCriterion.get(sc.id);
+    const failingScenarios = new Set([...entry.failing.values()].map(finding => finding.scenario));
+    let status;
+    if (entry.evaluated.size === 0) {
+      status = 'notEvaluated';
+    } else if (failingScenarios.size > entry.evaluated.size / 2) {
+      status = 'fails';
+    } else if (failingScenarios.size > 0) {
+      status = 'partial';
+    } else if (entry.incomplete.size > 0) {
+      status = 'review';
+    } else {
+      status = 'supports';
+    }
+    return {
+      ...sc,
+      status,
+      conformance: conformanceStatuses[status],
+      evaluated: entry.evaluated.size,
+      failingScenarios: failingScenarios.size,
+      rules: [...entry.rules].sort(),
+      failing: describe([...entry.failing.values()]),
+      incomplete: describe([...entry.incomplete.values()]),
+    };
+  });
+
+  return {
+    scope,
+    scenarios: scenarios.size,
+    counts: Object.fromEntries(Object.keys(conformanceStatuses).map(status => [status, rows.filter(row => row.status === status).length])),
+    criteria: rows,
+  };
+}
+
+// "Remarks and Explanations" text of a criterion, as plain-text sentences
+function conformanceRemarks(row) {
+  const list = findings => findings
+    .map(finding => `${finding.rule} (${finding.nodes} element${finding.nodes === 1 ? '' : 's'} on ${finding.scenarios.join(', ')})`)
+    .join('; ');
+  switch (row.status) {
+    case 'notEvaluated':
+      return 'Not covered by the automated checks; evaluate manually.';
+    case 'supports':
+      return `No failures of ${row.rules.join(', ')} on ${row.evaluated} page(s). Automated checks cover only part of this criterion.`;
+    case 'review':
+      return `Automated checks could not decide: ${list(row.incomplete)}. Review manually.`;
+    default:
+      return `Fails on ${row.failingScenarios} of ${row.evaluated} page(s): ${list(row.failing)}.`;
+  }
+}
+
+// Criterion label as in the VPAT tables, e.g. "1.4.10 Reflow (Level AA 2.1 and 2.2)"
+function conformanceCriterionLabel(row, scope) {
+  const versions = wcagVersions.filter(version => version >= row.version && version <= scope.version);
+  const since = row.version === '2.0' ? '' : ` ${versions.join(' and ')}${versions.length === 1 ? ' only' : ''}`;
+  return `${row.id} ${row.name} (Level ${row.level}${since})`;
+}
+
+// Page name of a criterion in "Understanding WCAG", e.g. contrast-minimum
+function understandingSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9 -]/g, '').trim().replace(/\s+/g, '-');
+}
+
+// Evaluation details shared by the HTML and Markdown reports
+function conformanceDetails(conformance, results, config) {
+  const tested = results.filter(r => !r.error);
+  return {
+    product: config.name || config.baseUrl || config.url || 'Website',
+    standard: `${conformance.scope.version}, Level ${conformance.scope.level}`,
+    date: new Date().toLocaleDateString(),
+    axeVersion: tested.find(r => r.axeVersion)?.axeVersion || null,
+    browsers: [...new Set(tested.map(r => r.browser))],
+    pages: [...new Set(tested.map(r => r.url))],
+    errors: results.length - tested.length,
+  };
+}
+
+// Generate the conformance report in the layout of the VPAT 2.x WCAG tables
+function generateConformanceHTML(conformance, results, config) {
+  const details = conformanceDetails(conformance, results, config);
+  const levels = wcagLevels.slice(0, wcagLevels.indexOf(conformance.scope.level) + 1);
+  const statusClass = { supports: 'supports', partial: 'partial', fails: 'fails', review: 'review', notEvaluated: 'not-evaluated' };
+
+  const tables = levels.map((level, index) => `
+  <div class="panel">
+    <h2>Table ${index + 1}: Success Criteria, Level ${level}</h2>
+    <table>
+      <thead>
+        <tr><th scope="col">Criteria</th><th scope="col">Conformance Level</th><th scope="col">Remarks and Explanations</th></tr>
+      </thead>
+      <tbody>${conformance.criteria.filter(row => row.level === level).map(row => `
+        <tr>
+          <th scope="row"><a href="https://www.w3.org/WAI/WCAG22/Understanding/${understandingSlug(row.name)}" target="_blank">${escapeHtml(conformanceCriterionLabel(row, conformance.scope))}</a></th>
+          <td><span class="status ${statusClass[row.status]}">${escapeHtml(row.conformance)}</span></td>
+          <td>${escapeHtml(conformanceRemarks(row))}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  </div>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Accessibility Conformance Report (Draft) - ${escapeHtml(details.product)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      line-height: 1.6;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #f5f5f5;
+    }
+    .header, .panel {
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      margin-bottom: 20px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .draft {
+      background: #fff3e0;
+      border-left: 4px solid #f57c00;
+      padding: 10px 15px;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    th, td {
+      text-align: left;
+      padding: 8px;
+      border-bottom: 1px solid #eee;
+      vertical-align: top;
+    }
+    tbody th { font-weight: normal; width: 30%; }
+    .status { font-weight: bold; white-space: nowrap; }
+    .status.supports { color: #388e3c; }
+    .status.partial { color: #f57c00; }
+    .status.fails { color: #d32f2f; }
+    .status.review { color: #1976d2; }
+    .status.not-evaluated { color: #757575; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>Accessibility Conformance Report (Draft)</h1>
+    <p><strong>Name of Product/Version:</strong> ${escapeHtml(details.product)}</p>
+    <p><strong>Report Date:</strong> ${escapeHtml(details.date)}</p>
+    <p><strong>Applicable Standard:</strong> Web Content Accessibility Guidelines ${escapeHtml(details.standard)}</p>
+    <p><strong>Evaluation Methods Used:</strong> Automated testing with axe-core${details.axeVersion ? ` ${escapeHtml(details.axeVersion)}` : ''} in ${escapeHtml(details.browsers.join(', '))} on ${details.pages.length} page(s)${details.errors ? `; ${details.errors} page(s) could not be tested` : ''}</p>
+    <p class="draft">This draft is generated from automated test results. Automated checks cover only part of WCAG: review every criterion, especially those marked "Not Evaluated" or "Needs manual review", before publishing it.</p>
+  </div>
+
+  <div class="panel">
+    <h2>Summary</h2>
+    <table>
+      <thead>
+        <tr><th scope="col">Conformance Level</th><th scope="col">Criteria</th></tr>
+      </thead>
+      <tbody>${Object.entries(conformanceStatuses).map(([status, label]) => `
+        <tr><td><span class="status ${statusClass[status]}">${escapeHtml(label)}</span></td><td>${conformance.counts[status]}</td></tr>`).join('')}
+      </tbody>
+    </table>
+  </div>
+${tables}
+  <div class="panel">
+    <h2>Pages Evaluated</h2>
+    <ul>${details.pages.map(url => `
+      <li><a href="${escapeHtml(url)}" target="_blank">${escapeHtml(url)}</a></li>`).join('')}
+    </ul>
+  </div>
+</body>
+</html>
+  `;
+}
+
+// Markdown version of the conformance report
+function generateConformanceMarkdown(conformance, results, config) {
+  const details = conformanceDetails(conformance, results, config);
+  const levels = wcagLevels.slice(0, wcagLevels.indexOf(conformance.scope.level) + 1);
+  const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+  let markdown = `# Accessibility Conformance Report (Draft)\n\n`;
+  markdown += `**Name of Product/Version:** ${details.product}\n`;
+  markdown += `**Report Date:** ${details.date}\n`;
+  markdown += `**Applicable Standard:** Web Content Accessibility Guidelines ${details.standard}\n`;
+  markdown += `**Evaluation Methods Used:** Automated testing with axe-core${details.axeVersion ? ` ${details.axeVersion}` : ''} in ${details.browsers.join(', ')} on ${details.pages.length} page(s)${details.errors ? `; ${details.errors} page(s) could not be tested` : ''}\n\n`;
+  markdown += `> This draft is generated from automated test results. Automated checks cover only part of WCAG: review every criterion, especially those marked "Not Evaluated" or "Needs manual review", before publishing it.\n\n`;
+
+  markdown += `## Summary\n\n`;
+  markdown += `| Conformance Level | Criteria |\n`;
+  markdown += `|-------------------|----------|\n`;
+  Object.entries(conformanceStatuses).forEach(([status, label]) => {
+    markdown += `| ${label} | ${conformance.counts[status]} |\n`;
+  });
+  markdown += `\n`;
+
+  levels.forEach((level, index) => {
+    markdown += `## Table ${index + 1}: Success Criteria, Level ${level}\n\n`;
+    markdown += `| Criteria | Conformance Level | Remarks and Explanations |\n`;
+    markdown += `|----------|-------------------|--------------------------|\n`;
+    conformance.criteria.filter(row => row.level === level).forEach(row => {
+      markdown += `| ${cell(conformanceCriterionLabel(row, conformance.scope))} | ${row.conformance} | ${cell(conformanceRemarks(row))} |\n`;
+    });
+    markdown += `\n`;
+  });
+
+  markdown += `## Pages Evaluated\n\n`;
+  details.pages.forEach(url => {
+    markdown += `- ${url}\n`;
+  });
+  return markdown;
+}
+
+// Write conformance.html and conformance.md to the output directory
+function writeConformanceReport(results, config, scope) {
+  const conformance = buildConformance(results, scope);
+  const reportsDir = path.resolve(config.outputDir);
+  fs.mkdirSync(reportsDir, { recursive: true });
+
+  const htmlPath = path.join(reportsDir, 'conformance.html');
+  const markdownPath = path.join(reportsDir, 'conformance.md');
+  fs.writeFileSync(htmlPath, generateConformanceHTML(conformance, results, config), 'utf8');
+  fs.writeFileSync(markdownPath, generateConformanceMarkdown(conformance, results, config), 'utf8');
+  return { htmlPath, markdownPath, conformance };
+}
+
+// Generate the run-level HTML index
+function generateIndexReport(summary) {
+  const { totals } = summary;
+  const link = (href, text) => (href ? `<a href="${escapeHtml(href)}">${text}</a>` : '');
+
+  const scenarioRows = summary.scenarios.map(s => `
+      <tr class="${s.success ? 'pass' : 'fail'}">
+        <td>${escapeHtml(s.testName)}${s.viewport ? ` <small>@ ${escapeHtml(s.viewport)}</small>` : ''}<br><small><a href="${escapeHtml(s.url)}" target="_blank">${escapeHtml(s.url)}</a></small></td>
+        <td>${escapeHtml(s.browser)}</td>
+        <td>${s.error ? `<span class="error">Error: ${escapeHtml(s.error)}</span>` : s.success ? '✅ Pass' : '❌ Fail'}</td>
+        <td>${s.critical}</td>
+        <td>${s.serious}</td>
+        <td>${s.moderate}</td>
+        <td>${s.minor}</td>
+        <td>${s.reports ? [link(s.reports.html, 'HTML'), link(s.reports.markdown, 'MD'), link(s.reports.json, 'JSON'), link(s.reports.screenshot, 'PNG')].filter(Boolean).join(' · ') : ''}</td>
+      </tr>`).join('');
+
+  const ruleRows = summary.rules.map(rule => `
+      <tr>
+        <td><a href="${escapeHtml(rule.helpUrl)}" target="_blank">${escapeHtml(rule.id)}</a><br><small>${escapeHtml(rule.help)}</small></td>
+        <td><span class="impact ${escapeHtml(rule.impact)}">${escapeHtml(rule.impact || 'n/a')}</span></td>
+        <td>${rule.pageCount}</td>
+        <td>${rule.nodes}</td>
+        <td>
+          <details>
+            <summary>${rule.pages.length} report(s)</summary>
+            <ul>${rule.pages.map(p => `<li>${link(p.report, escapeHtml(p.testName)) || escapeHtml(p.testName)}${p.viewport ? ` @ ${escapeHtml(p.viewport)}` : ''} <small>(${escapeHtml(p.browser)}, ${p.nodes} node${p.nodes === 1 ? '' : 's'})</small></li>`).join('')}</ul>
+          </details>
+        </td>
+      </tr>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Accessibility Run Summary - ${escapeHtml(summary.name)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      line-height: 1.6;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #f5f5f5;
+    }
+    .header, .panel {
+      background: white;
+      padding: 20px;
       border-radius: 8px;
-      border-left: 4px solid;
+      margin-bottom: 20px;
       box-shadow: 0 2px 4px rgba(0,0,0,0.1);
     }
-    .violation.critical { border-left-color: #d32f2f; }
-    .violation.serious { border-left-color: #f57c00; }
-    .violation.moderate { border-left-color: #ffa726; }
-    .violation.minor { border-left-color: #ffeb3b; }
-    .violation h3 {
-      margin-top: 0;
-      color: #333;
+    .summary {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+      gap: 15px;
+      margin-bottom: 20px;
     }
-    code {
-      background: #f5f5f5;
-      padding: 2px 6px;
-      border-radius: 3px;
+    .summary-card {
+      background: white;
+      padding: 15px;
+      border-radius: 8px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .summary-card h3 {
+      margin: 0 0 10px 0;
       font-size: 14px;
-      display: inline-block;
-      max-width: 100%;
-      overflow-wrap: break-word;
+      color: #666;
+      text-transform: uppercase;
     }
-    details {
-      margin-top: 10px;
+    .summary-card .count {
+      font-size: 32px;
+      font-weight: bold;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    th, td {
+      text-align: left;
+      padding: 8px;
+      border-bottom: 1px solid #eee;
+      vertical-align: top;
     }
+    tr.fail td:first-child { border-left: 4px solid #d32f2f; }
+    tr.pass td:first-child { border-left: 4px solid #388e3c; }
+    .error { color: #d32f2f; }
+    .impact.critical { color: #d32f2f; }
+    .impact.serious { color: #f57c00; }
+    .impact.moderate { color: #ef6c00; }
+    .impact.minor { color: #757575; }
     summary {
       cursor: pointer;
       color: #1976d2;
-      font-weight: 500;
     }
-    summary:hover {
-      text-decoration: underline;
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>🌐 Accessibility Run Summary</h1>
+    <p><strong>Test:</strong> ${escapeHtml(summary.name)}</p>
+    <p><strong>Browsers:</strong> ${summary.browsers.map(escapeHtml).join(', ')}</p>
+    <p><strong>Fail Threshold:</strong> ${escapeHtml(summary.failOn)} and above</p>
+    <p><strong>Generated:</strong> ${new Date(summary.generated).toLocaleString()}</p>
+  </div>
+
+  <div class="summary">
+    <div class="summary-card"><h3>Tests</h3><div class="count">${totals.tests}</div></div>
+    <div class="summary-card"><h3>Passed</h3><div class="count" style="color:#388e3c">${totals.passed}</div></div>
+    <div class="summary-card"><h3>Failed</h3><div class="count" style="color:#d32f2f">${totals.failed}</div></div>
+    <div class="summary-card"><h3>Critical</h3><div class="count">${totals.critical}</div></div>
+    <div class="summary-card"><h3>Serious</h3><div class="count">${totals.serious}</div></div>
+    <div class="summary-card"><h3>Moderate</h3><div class="count">${totals.moderate}</div></div>
+    <div class="summary-card"><h3>Minor</h3><div class="count">${totals.minor}</div></div>
+    <div class="summary-card"><h3>Meeting Threshold</h3><div class="count">${totals.failingViolations}</div></div>
+  </div>
+
+  <div class="panel">
+    <h2>Scenarios (${summary.scenarios.length})</h2>
+    <table>
+      <thead>
+        <tr><th>Scenario</th><th>Browser</th><th>Status</th><th>Critical</th><th>Serious</th><th>Moderate</th><th>Minor</th><th>Reports</th></tr>
+      </thead>
+      <tbody>${scenarioRows}
+      </tbody>
+    </table>
+  </div>
+
+  <div class="panel">
+    <h2>Top Rules Across the Site (${summary.rules.length})</h2>
+    ${summary.rules.length === 0 ? '<p>✅ No accessibility violations found!</p>' : `
+    <table>
+      <thead>
+        <tr><th>Rule</th><th>Impact</th><th>Pages</th><th>Nodes</th><th>Affected pages</th></tr>
+      </thead>
+      <tbody>${ruleRows}
+      </tbody>
+    </table>`}
+  </div>
+</body>
+</html>
+  `;
+}
+
+// Write index.html and summary.json for the whole run into the output directory
+function writeRunSummary(results, config, browsers) {
+  const reportsDir = path.resolve(config.outputDir);
+  fs.mkdirSync(reportsDir, { recursive: true });
+
+  const summary = buildRunSummary(results, config, browsers);
+  const summaryPath = path.join(reportsDir, 'summary.json');
+  fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2), 'utf8');
+
+  const indexPath = path.join(reportsDir, 'index.html');
+  fs.writeFileSync(indexPath, generateIndexReport(summary), 'utf8');
+
+  return { indexPath, summaryPath, summary };
+}
+
+// History file for the trend report: config.history (a path, or false to
+// turn it off), by default a11y-history.jsonl in the output directory
+function resolveHistoryPath(config) {
+  if (config.history === false) {
+    return null;
+  }
+  return typeof config.history === 'string'
+    ? path.resolve(config.history)
+    : path.join(path.resolve(config.outputDir), 'a11y-history.jsonl');
+}
+
+// One history line per run: totals plus per-scenario severity counts and rules
+function buildHistoryEntry(results, config, browsers) {
+  const summary = buildRunSummary(results, config, browsers);
+  return {
+    timestamp: summary.generated,
+    name: summary.name,
+    baseUrl: config.baseUrl || config.url || null,
+    failOn: summary.failOn,
+    browsers,
+    totals: summary.totals,
+    scenarios: results.map((r, index) => {
+      const { reports, ...counts } = summary.scenarios[index];
+      return {
+        ...counts,
+        rules: (r.rules || []).map(rule => ({ id: rule.id, impact: rule.impact, nodes: rule.nodes })),
+      };
+    }),
+  };
+}
+
+function appendHistory(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n', 'utf8');
+}
+
+function loadHistory(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`History file not found: ${file} (it is written by every test run)`);
+  }
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map((line, index) => {
+      if (!line.trim()) {
+        return null;
+      }
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${index + 1}: ${error.message}`);
+      }
+    })
+    .filter(Boolean);
+}
+
+// Scenarios are matched across runs by name, browser and viewport
+function historyKey(scenario) {
+  return [scenario.testName, scenario.browser, scenario.viewport || ''].join('|');
+}
+
+function historyLabel(scenario) {
+  return `${scenario.testName}${scenario.viewport ? ` @ ${scenario.viewport}` : ''} (${scenario.browser})`;
+}
+
+// What got worse (and better) from one run to the next, per scenario
+function compareRuns(previous, current) {
+  const before = new Map((previous?.scenarios || []).map(s => [historyKey(s), s]));
+  const regressions = [];
+  const improvements = [];
+
+  current.scenarios.forEach(scenario => {
+    const old = before.get(historyKey(scenario));
+    if (!old) {
+      return;
     }
-    ul {
-      margin: 10px 0;
+    const worse = [];
+    const better = [];
+    if (scenario.error && !old.error) {
+      worse.push(`now fails to run: ${scenario.error}`);
+    } else if (!scenario.success && old.success) {
+      worse.push('now fails the threshold');
+    } else if (scenario.success && !old.success) {
+      better.push('now passes');
     }
-    .no-violations {
-      background: #e8f5e9;
-      color: #2e7d32;
+    ['critical', 'serious', 'moderate', 'minor'].forEach(severity => {
+      if (scenario[severity] > old[severity]) {
+        worse.push(`${severity}: ${old[severity]} → ${scenario[severity]}`);
+      } else if (scenario[severity] < old[severity]) {
+        better.push(`${severity}: ${old[severity]} → ${scenario[severity]}`);
+      }
+    });
+    const oldRules = new Set((old.rules || []).map(rule => rule.id));
+    const newRules = new Set((scenario.rules || []).map(rule => rule.id));
+    const introduced = [...newRules].filter(id => !oldRules.has(id));
+    const resolved = [...oldRules].filter(id => !newRules.has(id));
+    if (introduced.length > 0) {
+      worse.push(`new rules: ${introduced.join(', ')}`);
+    }
+    if (resolved.length > 0) {
+      better.push(`resolved rules: ${resolved.join(', ')}`);
+    }
+
+    if (worse.length > 0) {
+      regressions.push({ key: historyKey(scenario), label: historyLabel(scenario), changes: worse });
+    }
+    if (better.length > 0) {
+      improvements.push({ key: historyKey(scenario), label: historyLabel(scenario), changes: better });
+    }
+  });
+
+  return { regressions, improvements };
+}
+
+// Inline SVG line chart; series are { name, color, values } over the runs
+function svgLineChart(series, labels, { width = 760, height = 220 } = {}) {
+  const pad = { top: 10, right: 10, bottom: 30, left: 40 };
+  const innerWidth = width - pad.left - pad.right;
+  const innerHeight = height - pad.top - pad.bottom;
+  const max = Math.max(1, ...series.flatMap(s => s.values));
+  const x = index => pad.left + (labels.length > 1 ? (index / (labels.length - 1)) * innerWidth : innerWidth / 2);
+  const y = value => pad.top + innerHeight - (value / max) * innerHeight;
+
+  // Label the first and last runs and a few in between
+  const step = Math.max(1, Math.ceil(labels.length / 6));
+  const xLabels = labels
+    .map((label, index) => ({ label, index }))
+    .filter(({ index }) => index % step === 0 || index === labels.length - 1)
+    .map(({ label, index }) => `<text x="${x(index)}" y="${height - 8}" text-anchor="middle">${escapeHtml(label)}</text>`)
+    .join('');
+
+  const lines = series.map(s => {
+    const points = s.values.map((value, index) => `${x(index)},${y(value)}`).join(' ');
+    const dots = s.values.map((value, index) => `<circle cx="${x(index)}" cy="${y(value)}" r="3" fill="${s.color}"><title>${escapeHtml(s.name)}: ${value} (${escapeHtml(labels[index])})</title></circle>`).join('');
+    return `<polyline fill="none" stroke="${s.color}" stroke-width="2" points="${points}"/>${dots}`;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(series.map(s => s.name).join(', '))} over ${labels.length} runs">
+      <line x1="${pad.left}" y1="${pad.top + innerHeight}" x2="${width - pad.right}" y2="${pad.top + innerHeight}" stroke="#ccc"/>
+      <text x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end">${max}</text>
+      <text x="${pad.left - 6}" y="${pad.top + innerHeight}" text-anchor="end">0</text>
+      ${lines}${xLabels}
+    </svg>`;
+}
+
+// Small single-series chart for table rows
+function sparkline(values, color = '#1976d2') {
+  const width = 160;
+  const height = 36;
+  const max = Math.max(1, ...values);
+  const x = index => (values.length > 1 ? (index / (values.length - 1)) * (width - 4) + 2 : width / 2);
+  const y = value => height - 2 - (value / max) * (height - 4);
+  return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" aria-hidden="true"><polyline fill="none" stroke="${color}" stroke-width="2" points="${values.map((v, i) => `${x(i)},${y(v)}`).join(' ')}"/></svg>`;
+}
+
+const severityColors = { critical: '#d32f2f', serious: '#f57c00', moderate: '#fbc02d', minor: '#757575' };
+
+// Generate the HTML trend report from the history entries (oldest first)
+function generateTrendReport(history) {
+  const labels = history.map(entry => new Date(entry.timestamp).toLocaleDateString());
+  const latest = history[history.length - 1];
+  const previous = history.length > 1 ? history[history.length - 2] : null;
+  const { regressions, improvements } = compareRuns(previous, latest);
+  const regressed = new Set(regressions.map(r => r.key));
+
+  const severityChart = svgLineChart(
+    ['critical', 'serious', 'moderate', 'minor'].map(severity => ({
+      name: severity,
+      color: severityColors[severity],
+      values: history.map(entry => entry.totals[severity] || 0),
+    })),
+    labels
+  );
+
+  // Rules: total nodes per run, most affected in the latest run first
+  const ruleIds = new Map();
+  history.forEach(entry => entry.scenarios.forEach(s => (s.rules || []).forEach(rule => ruleIds.set(rule.id, rule.impact))));
+  const ruleNodes = id => history.map(entry => entry.scenarios.reduce((sum, s) => sum + ((s.rules || []).find(rule => rule.id === id)?.nodes || 0), 0));
+  const ruleRows = [...ruleIds.entries()]
+    .map(([id, impact]) => ({ id, impact, values: ruleNodes(id) }))
+    .sort((a, b) => b.values[b.values.length - 1] - a.values[a.values.length - 1] || a.id.localeCompare(b.id))
+    .map(rule => {
+      const current = rule.values[rule.values.length - 1];
+      const before = rule.values.length > 1 ? rule.values[rule.values.length - 2] : current;
+      const firstSeen = labels[rule.values.findIndex(v => v > 0)];
+      return `
+      <tr class="${current > before ? 'regression' : ''}">
+        <td>${escapeHtml(rule.id)}</td>
+        <td><span class="impact ${escapeHtml(rule.impact)}">${escapeHtml(rule.impact || 'n/a')}</span></td>
+        <td>${sparkline(rule.values, severityColors[rule.impact])}</td>
+        <td>${current}</td>
+        <td>${formatDelta(current - before)}</td>
+        <td>${escapeHtml(firstSeen || '')}</td>
+      </tr>`;
+    }).join('');
+
+  // Pages: violations per run for every scenario in the latest run
+  const pageRows = latest.scenarios.map(scenario => {
+    const key = historyKey(scenario);
+    const values = history.map(entry => entry.scenarios.find(s => historyKey(s) === key)?.violations ?? 0);
+    const before = values.length > 1 ? values[values.length - 2] : scenario.violations;
+    return `
+      <tr class="${regressed.has(key) ? 'regression' : ''}">
+        <td>${escapeHtml(historyLabel(scenario))}<br><small>${escapeHtml(scenario.url)}</small></td>
+        <td>${sparkline(values)}</td>
+        <td>${scenario.critical}</td>
+        <td>${scenario.serious}</td>
+        <td>${scenario.moderate}</td>
+        <td>${scenario.minor}</td>
+        <td>${formatDelta(scenario.violations - before)}</td>
+      </tr>`;
+  }).join('');
+
+  const changeList = (items, className) => items.map(item => `
+        <li class="${className}"><strong>${escapeHtml(item.label)}</strong>: ${item.changes.map(escapeHtml).join('; ')}</li>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Accessibility Trend - ${escapeHtml(latest.name)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      line-height: 1.6;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #f5f5f5;
+    }
+    .header, .panel {
+      background: white;
       padding: 20px;
       border-radius: 8px;
-      text-align: center;
-      font-size: 18px;
-      font-weight: 500;
+      margin-bottom: 20px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .panel.regressions { border-left: 6px solid #d32f2f; }
+    .panel.improvements { border-left: 6px solid #388e3c; }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    th, td {
+      text-align: left;
+      padding: 8px;
+      border-bottom: 1px solid #eee;
+      vertical-align: middle;
+    }
+    tr.regression td { background: #ffebee; }
+    tr.regression td:first-child { border-left: 4px solid #d32f2f; }
+    .chart { width: 100%; height: auto; font-size: 11px; fill: #666; }
+    .legend span { margin-right: 16px; }
+    .legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: middle; }
+    .delta.up { color: #d32f2f; font-weight: bold; }
+    .delta.down { color: #388e3c; }
+    .impact.critical { color: #d32f2f; }
+    .impact.serious { color: #f57c00; }
+    .impact.moderate { color: #ef6c00; }
+    .impact.minor { color: #757575; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>📈 Accessibility Trend</h1>
+    <p><strong>Test:</strong> ${escapeHtml(latest.name)}</p>
+    <p><strong>Runs:</strong> ${history.length} (${escapeHtml(labels[0])} – ${escapeHtml(labels[labels.length - 1])})</p>
+    <p><strong>Latest run:</strong> ${new Date(latest.timestamp).toLocaleString()}, ${latest.totals.violations} violation(s), ${latest.totals.failed} failing test(s)</p>
+  </div>
+
+  ${previous ? `
+  <div class="panel regressions">
+    <h2>Regressions Since the Previous Run (${regressions.length})</h2>
+    ${regressions.length === 0 ? '<p>✅ Nothing got worse.</p>' : `<ul>${changeList(regressions, 'regression')}
+    </ul>`}
+  </div>
+  ${improvements.length > 0 ? `
+  <div class="panel improvements">
+    <h2>Improvements (${improvements.length})</h2>
+    <ul>${changeList(improvements, 'improvement')}
+    </ul>
+  </div>` : ''}` : '<div class="panel"><p>Only one run recorded so far; regressions are shown from the second run on.</p></div>'}
+
+  <div class="panel">
+    <h2>Violations by Severity</h2>
+    <p class="legend">${Object.entries(severityColors).map(([severity, color]) => `<span><i style="background:${color}"></i>${severity}</span>`).join('')}</p>
+    ${severityChart}
+  </div>
+
+  <div class="panel">
+    <h2>Rules (${ruleIds.size})</h2>
+    ${ruleIds.size === 0 ? '<p>✅ No violations recorded.</p>' : `
+    <table>
+      <thead>
+        <tr><th>Rule</th><th>Impact</th><th>Nodes over time</th><th>Latest</th><th>Change</th><th>First seen</th></tr>
+      </thead>
+      <tbody>${ruleRows}
+      </tbody>
+    </table>`}
+  </div>
+
+  <div class="panel">
+    <h2>Pages (${latest.scenarios.length})</h2>
+    <table>
+      <thead>
+        <tr><th>Scenario</th><th>Violations over time</th><th>Critical</th><th>Serious</th><th>Moderate</th><th>Minor</th><th>Change</th></tr>
+      </thead>
+      <tbody>${pageRows}
+      </tbody>
+    </table>
+  </div>
+</body>
+</html>
+  `;
+}
+
+function formatDelta(delta) {
+  if (delta > 0) {
+    return `<span class="delta up">+${delta}</span>`;
+  }
+  return delta < 0 ? `<span class="delta down">${delta}</span>` : '–';
+}
+
+// The "trend" command: render the history as trend.html in the output
+// directory and list regressions against the previous run
+async function runTrend(options) {
+  if (options.logger) {
+    const { logger, ...rest } = options;
+    return withLogger(logger, () => runTrend(rest));
+  }
+  const config = { ...defaultConfig, ...options };
+  // Reading works even when recording is turned off with history: false
+  const historyFile = resolveHistoryPath({ ...config, history: config.history || null });
+  const history = loadHistory(historyFile);
+  if (history.length === 0) {
+    throw new Error(`No runs recorded in ${historyFile}`);
+  }
+
+  const reportsDir = path.resolve(config.outputDir);
+  fs.mkdirSync(reportsDir, { recursive: true });
+  const trendPath = path.join(reportsDir, 'trend.html');
+  fs.writeFileSync(trendPath, generateTrendReport(history), 'utf8');
+
+  const { regressions } = compareRuns(history[history.length - 2], history[history.length - 1]);
+  log.info(`📈 Trend over ${history.length} run(s): ${trendPath}`);
+  if (history.length > 1) {
+    if (regressions.length > 0) {
+      log.info(`\n⚠️  Regressions since the previous run:`);
+      regressions.forEach(r => log.info(`   - ${r.label}: ${r.changes.join('; ')}`));
+    } else {
+      log.info('✅ No regressions since the previous run');
+    }
+  }
+  return { trendPath, regressions, exitCode: 0 };
+}
+
+// Compare mode: the same pages in two environments, or two sets of JSON
+// reports. Pages are matched by path, browser and viewport, and violation
+// nodes by rule and target, so host names and asset URLs do not matter.
+function comparisonPageKey(url, browser, viewport) {
+  return [pageKey(url), browser || '', viewport || ''].join('|');
+}
+
+// Pages of a run, from run() results
+function comparisonPagesFromResults(results) {
+  return results.map(r => ({
+    key: comparisonPageKey(r.url, r.browser, r.viewport),
+    name: r.testName,
+    url: r.url,
+    browser: r.browser,
+    viewport: r.viewport || null,
+    error: r.error || null,
+    rules: r.error ? [] : r.findings.violations,
+  }));
+}
+
+// Pages from per-page JSON reports: one file, or every report in a folder
+// (the newest report per page wins)
+function loadComparisonReports(location) {
+  const file = path.resolve(location);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Not a URL, report or folder: ${location}`);
+  }
+  const files = fs.statSync(file).isDirectory()
+    ? fs.readdirSync(file).filter(name => name.endsWith('.json')).map(name => path.join(file, name))
+    : [file];
+
+  const pages = new Map();
+  files.forEach(reportFile => {
+    let report;
+    try {
+      report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`${reportFile}: ${error.message}`);
+    }
+    // Skip summary.json, baselines and other JSON files in the folder
+    if (!report._meta || !Array.isArray(report.violations) || !report.url) {
+      return;
+    }
+    // Key on the scenario URL, like test runs do, not the URL after redirects
+    const url = report._meta.scenarioUrl || report.url;
+    const page = {
+      key: comparisonPageKey(url, report._meta.browser, report._meta.viewport?.name),
+      name: report._meta.testName || pageKey(url),
+      url,
+      browser: report._meta.browser,
+      viewport: report._meta.viewport?.name || null,
+      error: null,
+      rules: report.violations,
+      timestamp: report.timestamp,
+    };
+    const previous = pages.get(page.key);
+    if (!previous || String(page.timestamp) > String(previous.timestamp)) {
+      pages.set(page.key, page);
+    }
+  });
+  if (pages.size === 0) {
+    throw new Error(`No JSON page reports found in ${location}`);
+  }
+  return [...pages.values()];
+}
+
+// Introduced, resolved and unchanged violation nodes per page and per rule.
+// Introduced nodes at or above failOn are regressions.
+function diffComparison(before, after, failOn) {
+  const beforePages = new Map(before.map(page => [page.key, page]));
+  const afterPages = new Map(after.map(page => [page.key, page]));
+  const keys = [...new Set([...afterPages.keys(), ...beforePages.keys()])];
+  const nodeKey = node => JSON.stringify(node.target || []);
+  const ruleTotals = new Map();
+
+  const pages = keys.map(key => {
+    const old = beforePages.get(key);
+    const current = afterPages.get(key);
+    const page = {
+      key,
+      name: (current || old).name,
+      before: old?.url || null,
+      after: current?.url || null,
+      browser: (current || old).browser,
+      viewport: (current || old).viewport,
+      status: 'compared',
+      error: null,
+      rules: [],
+      introduced: 0,
+      resolved: 0,
+      unchanged: 0,
+      regressions: 0,
+    };
+    if (!old || !current) {
+      page.status = old ? 'only-before' : 'only-after';
+      return page;
+    }
+    if (old.error || current.error) {
+      page.status = 'error';
+      page.error = [old.error && `before: ${old.error}`, current.error && `after: ${current.error}`].filter(Boolean).join('; ');
+      return page;
+    }
+
+    const oldRules = new Map(old.rules.map(rule => [rule.id, rule]));
+    const newRules = new Map(current.rules.map(rule => [rule.id, rule]));
+    [...new Set([...newRules.keys(), ...oldRules.keys()])].forEach(id => {
+      const rule = newRules.get(id) || oldRules.get(id);
+      const oldNodes = new Map((oldRules.get(id)?.nodes || []).map(node => [nodeKey(node), node]));
+      const newNodes = new Map((newRules.get(id)?.nodes || []).map(node => [nodeKey(node), node]));
+      const entry = {
+        id,
+        impact: rule.impact,
+        help: rule.help,
+        helpUrl: rule.helpUrl,
+        introduced: [...newNodes.keys()].filter(k => !oldNodes.has(k)).map(k => ({ target: newNodes.get(k).target, html: newNodes.get(k).html })),
+        resolved: [...oldNodes.keys()].filter(k => !newNodes.has(k)).map(k => ({ target: oldNodes.get(k).target, html: oldNodes.get(k).html })),
+        unchanged: [...newNodes.keys()].filter(k => oldNodes.has(k)).length,
+      };
+      page.rules.push(entry);
+      page.introduced += entry.introduced.length;
+      page.resolved += entry.resolved.length;
+      page.unchanged += entry.unchanged;
+      if (meetsFailThreshold(entry.impact, failOn)) {
+        page.regressions += entry.introduced.length;
+      }
+
+      if (!ruleTotals.has(id)) {
+        ruleTotals.set(id, { id, impact: rule.impact, help: rule.help, helpUrl: rule.helpUrl, introduced: 0, resolved: 0, unchanged: 0, pages: [] });
+      }
+      const total = ruleTotals.get(id);
+      total.introduced += entry.introduced.length;
+      total.resolved += entry.resolved.length;
+      total.unchanged += entry.unchanged;
+      if (entry.introduced.length > 0 || entry.resolved.length > 0) {
+        total.pages.push(page.name);
+      }
+    });
+    page.rules.sort((a, b) => severityLevels.indexOf(b.impact) - severityLevels.indexOf(a.impact) || a.id.localeCompare(b.id));
+    return page;
+  });
+
+  const sum = field => pages.reduce((total, page) => total + page[field], 0);
+  return {
+    failOn,
+    totals: {
+      pages: pages.filter(page => page.status === 'compared').length,
+      introduced: sum('introduced'),
+      resolved: sum('resolved'),
+      unchanged: sum('unchanged'),
+      regressions: sum('regressions'),
+    },
+    pages,
+    rules: [...ruleTotals.values()].sort((a, b) => b.introduced - a.introduced || b.resolved - a.resolved || a.id.localeCompare(b.id)),
+  };
+}
+
+// Generate the HTML diff report
+function generateCompareReport(diff, labels) {
+  const nodeList = (nodes, className) => nodes.map(node => `
+            <li class="${className}"><code>${escapeHtml([].concat(...(node.target || [])).join(' '))}</code> <code>${escapeHtml(node.html)}</code></li>`).join('');
+
+  const ruleRows = diff.rules.map(rule => `
+      <tr class="${rule.introduced > 0 && meetsFailThreshold(rule.impact, diff.failOn) ? 'regression' : ''}">
+        <td><a href="${escapeHtml(rule.helpUrl)}" target="_blank">${escapeHtml(rule.id)}</a><br><small>${escapeHtml(rule.help)}</small></td>
+        <td><span class="impact ${escapeHtml(rule.impact)}">${escapeHtml(rule.impact || 'n/a')}</span></td>
+        <td class="introduced">${rule.introduced ? `+${rule.introduced}` : '0'}</td>
+        <td class="resolved">${rule.resolved ? `−${rule.resolved}` : '0'}</td>
+        <td>${rule.unchanged}</td>
+        <td>${rule.pages.map(escapeHtml).join(', ')}</td>
+      </tr>`).join('');
+
+  const pagePanels = diff.pages.map(page => {
+    const title = `${escapeHtml(page.name)}${page.viewport ? ` @ ${escapeHtml(page.viewport)}` : ''} (${escapeHtml(page.browser)})`;
+    if (page.status !== 'compared') {
+      const reason = page.status === 'error' ? escapeHtml(page.error)
+        : page.status === 'only-before' ? 'Only tested in the "before" set' : 'Only tested in the "after" set';
+      return `
+  <div class="panel skipped">
+    <h3>${title}</h3>
+    <p>⚠️ Not compared: ${reason}</p>
+  </div>`;
+    }
+    const changed = page.rules.filter(rule => rule.introduced.length > 0 || rule.resolved.length > 0);
+    return `
+  <div class="panel ${page.regressions > 0 ? 'has-regressions' : ''}">
+    <h3>${page.regressions > 0 ? '❌' : '✅'} ${title}</h3>
+    <p><span class="introduced">+${page.introduced} introduced</span> · <span class="resolved">−${page.resolved} resolved</span> · ${page.unchanged} unchanged</p>
+    ${changed.map(rule => `
+    <details ${rule.introduced.length > 0 && meetsFailThreshold(rule.impact, diff.failOn) ? 'open' : ''}>
+      <summary>${escapeHtml(rule.id)} (<span class="impact ${escapeHtml(rule.impact)}">${escapeHtml(rule.impact || 'n/a')}</span>): +${rule.introduced.length} / −${rule.resolved.length} / ${rule.unchanged} unchanged</summary>
+      <ul>${nodeList(rule.introduced, 'introduced')}${nodeList(rule.resolved, 'resolved')}
+      </ul>
+    </details>`).join('')}
+  </div>`;
+  }).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Accessibility Comparison</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      line-height: 1.6;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #f5f5f5;
+    }
+    .header, .panel {
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      margin-bottom: 20px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .panel.has-regressions { border-left: 6px solid #d32f2f; }
+    .panel.skipped { border-left: 6px solid #757575; }
+    .summary {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+      gap: 15px;
+      margin-bottom: 20px;
+    }
+    .summary-card {
+      background: white;
+      padding: 15px;
+      border-radius: 8px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .summary-card h3 {
+      margin: 0 0 10px 0;
+      font-size: 14px;
+      color: #666;
+      text-transform: uppercase;
+    }
+    .summary-card .count {
+      font-size: 32px;
+      font-weight: bold;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    th, td {
+      text-align: left;
+      padding: 8px;
+      border-bottom: 1px solid #eee;
+      vertical-align: top;
+    }
+    tr.regression td { background: #ffebee; }
+    .introduced { color: #d32f2f; }
+    .resolved { color: #388e3c; }
+    li.introduced::marker { content: '+ '; }
+    li.resolved::marker { content: '− '; }
+    li.resolved code { text-decoration: line-through; }
+    .impact.critical { color: #d32f2f; }
+    .impact.serious { color: #f57c00; }
+    .impact.moderate { color: #ef6c00; }
+    .impact.minor { color: #757575; }
+    code {
+      background: #f5f5f5;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-size: 13px;
+      overflow-wrap: anywhere;
     }
+    summary { cursor: pointer; }
   </style>
 </head>
 <body>
   <div class="header">
-    <h1>🌐 Accessibility Report</h1>
-    <p><strong>Test:</strong> ${testName}</p>
-    <p><strong>Page:</strong> ${pageName}</p>
-    <p><strong>URL:</strong> <a href="${url}" target="_blank">${url}</a></p>
+    <h1>🔀 Accessibility Comparison</h1>
+    <p><strong>Before:</strong> ${escapeHtml(labels.before)}</p>
+    <p><strong>After:</strong> ${escapeHtml(labels.after)}</p>
+    <p><strong>Regressions:</strong> violations introduced at ${escapeHtml(diff.failOn)} level or above</p>
     <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
   </div>
 
   <div class="summary">
-    <div class="summary-card">
-      <h3>Violations</h3>
-      <div class="count violations">${violations.length}</div>
-    </div>
-    <div class="summary-card">
-      <h3>Passes</h3>
-      <div class="count passes">${passes.length}</div>
-    </div>
-    <div class="summary-card">
-      <h3>Incomplete</h3>
-      <div class="count incomplete">${incomplete.length}</div>
-    </div>
-    <div class="summary-card">
-      <h3>Inapplicable</h3>
-      <div class="count inapplicable">${inapplicable.length}</div>
-    </div>
+    <div class="summary-card"><h3>Regressions</h3><div class="count introduced">${diff.totals.regressions}</div></div>
+    <div class="summary-card"><h3>Introduced</h3><div class="count introduced">${diff.totals.introduced}</div></div>
+    <div class="summary-card"><h3>Resolved</h3><div class="count resolved">${diff.totals.resolved}</div></div>
+    <div class="summary-card"><h3>Unchanged</h3><div class="count">${diff.totals.unchanged}</div></div>
+    <div class="summary-card"><h3>Pages compared</h3><div class="count">${diff.totals.pages}</div></div>
   </div>
 
-  ${
-    violations.length === 0
-      ? '<div class="no-violations">✅ No accessibility violations found!</div>'
-      : `<h2>Violations Found (${violations.length})</h2>${violationsSummary}`
-  }
+  <div class="panel">
+    <h2>By Rule</h2>
+    ${diff.rules.length === 0 ? '<p>✅ No violations on either side.</p>' : `
+    <table>
+      <thead>
+        <tr><th>Rule</th><th>Impact</th><th>Introduced</th><th>Resolved</th><th>Unchanged</th><th>Pages changed</th></tr>
+      </thead>
+      <tbody>${ruleRows}
+      </tbody>
+    </table>`}
+  </div>
+
+  <h2>By Page</h2>
+  ${pagePanels}
 </body>
 </html>
   `;
 }
 
-// Generate Markdown report for Confluence
-function generateMarkdownReport(results, pageName, url, testName) {
-  const { violations, passes, incomplete, inapplicable } = results;
-  const timestamp = new Date().toLocaleString();
+// One side of a comparison: a base URL to test (every scenario path is run
+// against it) or JSON reports from an earlier run
+async function resolveComparisonSide(location, config, label) {
+  if (/^https?:\/\//i.test(location)) {
+    const base = location.replace(/\/$/, '');
+    const rebase = url => `${base}${pageKey(url)}`;
+    log.info(`\n🔀 Testing "${label}": ${base}`);
+    const { results } = await run({
+      ...config,
+      url: config.url ? rebase(config.url) : (config.scenarios ? null : base),
+      baseUrl: base,
+      scenarios: config.scenarios?.map(scenario => (scenario.url ? { ...scenario, url: rebase(scenario.url) } : scenario)),
+      outputDir: path.join(config.outputDir, label),
+      // Only the comparison decides the outcome
+      baseline: null,
+      updateBaseline: false,
+      history: false,
+      junit: null,
+      sarif: null,
+      issues: null,
+      conformance: null,
+    });
+    return comparisonPagesFromResults(results);
+  }
+  log.info(`\n🔀 Loading "${label}" reports: ${location}`);
+  return loadComparisonReports(location);
+}
 
-  // Group violations by severity
-  const violationsBySeverity = {
-    critical: violations.filter(v => v.impact === 'critical'),
-    serious: violations.filter(v => v.impact === 'serious'),
-    moderate: violations.filter(v => v.impact === 'moderate'),
-    minor: violations.filter(v => v.impact === 'minor')
+// The "compare" command: diff two environments or report sets, write
+// compare.html and compare.json, and fail only on regressions
+async function runCompare(options) {
+  if (options.logger) {
+    const { logger, ...rest } = options;
+    return withLogger(logger, () => runCompare(rest));
+  }
+  const { before, after, ...rest } = options;
+  if (!before || !after) {
+    throw new Error('compare needs two base URLs, JSON reports or report folders: compare <before> <after>');
+  }
+  const config = { ...defaultConfig, ...rest };
+
+  const beforePages = await resolveComparisonSide(before, config, 'before');
+  const afterPages = await resolveComparisonSide(after, config, 'after');
+  const diff = diffComparison(beforePages, afterPages, config.failOn);
+
+  const reportsDir = path.resolve(config.outputDir);
+  fs.mkdirSync(reportsDir, { recursive: true });
+  const htmlPath = path.join(reportsDir, 'compare.html');
+  const jsonPath = path.join(reportsDir, 'compare.json');
+  fs.writeFileSync(htmlPath, generateCompareReport(diff, { before, after }), 'utf8');
+  fs.writeFileSync(jsonPath, JSON.stringify({ generated: new Date().toISOString(), before, after, ...diff }, null, 2), 'utf8');
+
+  log.info('\n' + '='.repeat(60));
+  log.info('🔀 Comparison');
+  log.info('='.repeat(60));
+  diff.pages.forEach(page => {
+    const name = `${page.name}${page.viewport ? ` @ ${page.viewport}` : ''} (${page.browser})`;
+    if (page.status !== 'compared') {
+      log.warn(`⚠️  ${name}: not compared (${page.error || (page.status === 'only-before' ? 'only in before' : 'only in after')})`);
+      return;
+    }
+    log.info(`${page.regressions > 0 ? '❌' : '✅'} ${name}: +${page.introduced} introduced, -${page.resolved} resolved, ${page.unchanged} unchanged`);
+  });
+  log.info(`\nIntroduced: ${diff.totals.introduced}, resolved: ${diff.totals.resolved}, unchanged: ${diff.totals.unchanged}`);
+  log.info(`Regressions (${config.failOn} and above): ${diff.totals.regressions}`);
+  log.info(`\n📑 Comparison report: ${htmlPath}`);
+  log.info(`📑 Comparison data: ${jsonPath}`);
+
+  const exitCode = diff.totals.regressions > 0 ? 1 : 0;
+  log.info(exitCode ? `\n❌ ${diff.totals.regressions} regression(s)` : '\n✅ No regressions');
+  return { diff, htmlPath, jsonPath, exitCode };
+}
+
+// Escape text for use in XML reports
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// Describe failing nodes (targets and check messages) for a JUnit failure body
+function describeNodes(rule) {
+  return rule.nodes.map((node, index) => {
+    const lines = [`${index + 1}. ${[].concat(...node.target).join(' ')}`, `   ${node.html}`];
+    node.messages.forEach(message => lines.push(`   - ${message}`));
+    return lines.join('\n');
+  }).join('\n');
+}
+
+// Generate a JUnit XML report: one testsuite per scenario, one testcase per
+// axe rule. Violations at or above failOn are failures; incomplete results are
+// skipped, or handled like violations with treatIncompleteAsViolations.
+function generateJUnitReport(results, config) {
+  const suites = results.map(r => {
+    const suiteName = [r.testName, r.browser, r.viewport].filter(Boolean).join(' | ');
+    const classname = escapeXml(r.testName);
+    const cases = [];
+
+    if (r.error) {
+      cases.push({
+        outcome: 'error',
+        xml: `    <testcase classname="${classname}" name="scan">
+      <error message="${escapeXml(r.error)}" type="error">${escapeXml(r.error)}</error>
+    </testcase>`,
+      });
+    } else {
+      const ruleCase = (rule, name, { incomplete = false } = {}) => {
+        const message = `${rule.help} (${rule.impact || 'n/a'}, ${rule.nodes.length} node${rule.nodes.length === 1 ? '' : 's'})`;
+        const body = escapeXml(`${rule.description}\n${rule.helpUrl}\n\n${describeNodes(rule)}`);
+        let outcome;
+        let xml;
+        if (incomplete && !config.treatIncompleteAsViolations) {
+          outcome = 'skipped';
+          xml = `      <skipped message="${escapeXml(`Needs manual review: ${message}`)}"/>
+      <system-out>${body}</system-out>`;
+        } else if (meetsFailThreshold(rule.impact, config.failOn)) {
+          outcome = 'failure';
+          xml = `      <failure message="${escapeXml(message)}" type="${escapeXml(rule.impact || 'incomplete')}">${body}</failure>`;
+        } else {
+          // Below the fail threshold: passes, but keep the details visible
+          outcome = 'passed';
+          xml = `      <system-out>${escapeXml(`Below fail threshold (${config.failOn}): ${message}`)}\n${body}</system-out>`;
+        }
+        return {
+          outcome,
+          xml: `    <testcase classname="${classname}" name="${escapeXml(name)}">
+${xml}
+    </testcase>`,
+        };
+      };
+
+      const reported = new Set();
+      r.findings.violations.forEach(rule => {
+        reported.add(rule.id);
+        cases.push(ruleCase(rule, rule.id));
+      });
+      r.findings.incomplete.forEach(rule => {
+        const name = reported.has(rule.id) ? `${rule.id} (needs review)` : rule.id;
+        reported.add(rule.id);
+        cases.push(ruleCase(rule, name, { incomplete: true }));
+      });
+      r.findings.passes
+        .filter(rule => !reported.has(rule.id))
+        .forEach(rule => {
+          cases.push({ outcome: 'passed', xml: `    <testcase classname="${classname}" name="${escapeXml(rule.id)}"/>` });
+        });
+    }
+
+    const failures = cases.filter(c => c.outcome === 'failure').length;
+    const skipped = cases.filter(c => c.outcome === 'skipped').length;
+    const errors = cases.filter(c => c.outcome === 'error').length;
+    return {
+      tests: cases.length,
+      failures,
+      skipped,
+      errors,
+      xml: `  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" timestamp="${new Date().toISOString()}">
+    <properties>
+      <property name="url" value="${escapeXml(r.url)}"/>
+      <property name="browser" value="${escapeXml(r.browser)}"/>${r.viewport ? `
+      <property name="viewport" value="${escapeXml(r.viewport)}"/>` : ''}
+    </properties>
+${cases.map(c => c.xml).join('\n')}
+  </testsuite>`,
+    };
+  });
+
+  const total = key => suites.reduce((sum, suite) => sum + suite[key], 0);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(config.name || 'Accessibility Tests')}" tests="${total('tests')}" failures="${total('failures')}" errors="${total('errors')}" skipped="${total('skipped')}">
+${suites.map(suite => suite.xml).join('\n')}
+</testsuites>
+`;
+}
+
+// Check whether an impact level meets the failOn threshold
+const severityLevels = ['minor', 'moderate', 'serious', 'critical'];
+
+function meetsFailThreshold(impact, failOn) {
+  if (failOn === 'all') {
+    return true;
+  }
+  return severityLevels.indexOf(impact) >= severityLevels.indexOf(failOn);
+}
+
+// Build a stable fingerprint for a violation node from its target and markup
+function fingerprintNode(node) {
+  const target = JSON.stringify(node.target || []);
+  const html = (node.html || '').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha1').update(`${target}\n${html}`).digest('hex').slice(0, 16);
+}
+
+// Page key used in the baseline (path only, so baselines survive host changes)
+function pageKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch (e) {
+    return url;
+  }
+}
+
+// Flatten violations into one baseline entry per affected node
+function collectBaselineEntries(violations, url) {
+  const page = pageKey(url);
+  const entries = [];
+  violations.forEach(violation => {
+    violation.nodes.forEach(node => {
+      entries.push({
+        ruleId: violation.id,
+        impact: violation.impact,
+        page,
+        fingerprint: fingerprintNode(node),
+        target: node.target,
+      });
+    });
+  });
+  return entries;
+}
+
+function baselineKey(entry) {
+  return `${entry.ruleId}|${entry.page}|${entry.fingerprint}`;
+}
+
+// Load a baseline file (returns null if it does not exist yet)
+function loadBaseline(file) {
+  const baselinePath = path.resolve(file);
+  if (!fs.existsSync(baselinePath)) {
+    return null;
+  }
+  const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+  if (!baseline.scenarios || typeof baseline.scenarios !== 'object') {
+    throw new Error(`Invalid baseline file: ${baselinePath}`);
+  }
+  return baseline;
+}
+
+// Merge baseline entries of results that share a scenario (e.g. one result
+// per browser), dropping duplicate nodes
+function mergeResultsByScenario(results) {
+  const merged = new Map();
+  results.filter(result => !result.error).forEach(result => {
+    if (!merged.has(result.testName)) {
+      merged.set(result.testName, { testName: result.testName, url: result.url, entries: new Map() });
+    }
+    const scenario = merged.get(result.testName);
+    result.baselineEntries.forEach(entry => scenario.entries.set(baselineKey(entry), entry));
+  });
+  return [...merged.values()].map(scenario => ({ ...scenario, entries: [...scenario.entries.values()] }));
+}
+
+// Rewrite the baseline file from test results. Scenarios that are no longer
+// tested (removed or renamed) are dropped; scenarios that errored keep their
+// previous entries so a flaky page does not wipe its baseline.
+function saveBaseline(file, results, previous = null) {
+  const baselinePath = path.resolve(file);
+  const scenarios = {};
+  results.filter(result => result.error && previous?.scenarios?.[result.testName]).forEach(result => {
+    scenarios[result.testName] = previous.scenarios[result.testName];
+  });
+
+  mergeResultsByScenario(results).forEach(scenario => {
+    scenarios[scenario.testName] = {
+      page: pageKey(scenario.url),
+      violations: scenario.entries,
+    };
+  });
+
+  const baseline = {
+    version: 1,
+    updated: new Date().toISOString(),
+    scenarios,
+  };
+
+  fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+  fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2), 'utf8');
+  return baselinePath;
+}
+
+// Compare test results against a baseline, per scenario
+function compareWithBaseline(baseline, results, failOn) {
+  return mergeResultsByScenario(results)
+    .map(scenario => {
+      const known = baseline?.scenarios?.[scenario.testName]?.violations || [];
+      const knownKeys = new Set(known.map(baselineKey));
+      const currentKeys = new Set(scenario.entries.map(baselineKey));
+
+      const newEntries = scenario.entries.filter(e => !knownKeys.has(baselineKey(e)));
+      const unchanged = scenario.entries.filter(e => knownKeys.has(baselineKey(e)));
+      const fixed = known.filter(e => !currentKeys.has(baselineKey(e)));
+
+      return {
+        testName: scenario.testName,
+        new: newEntries,
+        fixed,
+        unchanged,
+        failingNew: newEntries.filter(e => meetsFailThreshold(e.impact, failOn)).length,
+      };
+    });
+}
+
+// Print fixed, new and unchanged violations relative to the baseline
+function printBaselineSummary(comparison, failOn) {
+  const totalNew = comparison.reduce((sum, c) => sum + c.new.length, 0);
+  const totalFixed = comparison.reduce((sum, c) => sum + c.fixed.length, 0);
+  const totalUnchanged = comparison.reduce((sum, c) => sum + c.unchanged.length, 0);
+
+  log.info('\n📌 Baseline Comparison');
+  log.info('='.repeat(60));
+  log.info(`  🆕 New: ${totalNew}`);
+  log.info(`  ✅ Fixed: ${totalFixed}`);
+  log.info(`  ➖ Unchanged: ${totalUnchanged}`);
+
+  const describe = entry => `${entry.ruleId} [${entry.impact || 'n/a'}] ${(entry.target || []).join(' ')}`;
+
+  comparison.forEach(c => {
+    if (c.new.length === 0 && c.fixed.length === 0) {
+      return;
+    }
+    log.info(`\n  ${c.testName}:`);
+    c.new.forEach(entry => {
+      const marker = meetsFailThreshold(entry.impact, failOn) ? '❌' : '🆕';
+      log.info(`    ${marker} new: ${describe(entry)}`);
+    });
+    c.fixed.forEach(entry => {
+      log.info(`    ✅ fixed: ${describe(entry)}`);
+    });
+  });
+  log.info('='.repeat(60));
+}
+
+// Log levels, most severe first. A logger prints messages at or above its
+// level; "silent" prints nothing.
+const logLevels = ['error', 'warn', 'info', 'debug'];
+
+// Create a logger. The "text" format prints messages as they are; "json"
+// prints one object per line with time, level and message. Output goes
+// through the console so parallel scenarios stay buffered.
+function createLogger({ level = 'info', format: logFormat = 'text' } = {}) {
+  const threshold = level === 'silent' ? -1 : logLevels.indexOf(level);
+  if (level !== 'silent' && threshold === -1) {
+    throw new Error(`Unknown log level: ${level} (use silent, ${logLevels.join(', ')})`);
+  }
+  if (!['text', 'json'].includes(logFormat)) {
+    throw new Error(`Unknown log format: ${logFormat} (use text or json)`);
+  }
+
+  const write = (level, args) => {
+    if (logLevels.indexOf(level) > threshold) {
+      return;
+    }
+    const method = level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log';
+    if (logFormat === 'json') {
+      console[method](JSON.stringify({ time: new Date().toISOString(), level, message: format(...args).trim() }));
+    } else {
+      console[method](...args);
+    }
+  };
+  return Object.fromEntries(logLevels.map(level => [level, (...args) => write(level, args)]));
+}
+
+const silentLogger = createLogger({ level: 'silent' });
+const defaultLogger = createLogger();
+
+// The logger for the current run; scan() and the CLI set it with withLogger()
+const activeLogger = new AsyncLocalStorage();
+
+function withLogger(logger, fn) {
+  return activeLogger.run(logger, fn);
+}
+
+// Module-wide logging, routed to the active logger
+const log = Object.fromEntries(logLevels.map(level => [
+  level,
+  (...args) => (activeLogger.getStore() || defaultLogger)[level](...args),
+]));
+
+// Console output captured per scenario while scenarios run in parallel
+const outputBuffer = new AsyncLocalStorage();
+
+// Route console output into the active scenario's buffer (if any)
+function captureConsoleOutput() {
+  const originals = {};
+  ['log', 'warn', 'error'].forEach(method => {
+    originals[method] = console[method];
+    console[method] = (...args) => {
+      const buffer = outputBuffer.getStore();
+      if (buffer) {
+        buffer.push({ method, args });
+      } else {
+        originals[method](...args);
+      }
+    };
+  });
+
+  return {
+    flush(buffer) {
+      buffer.forEach(({ method, args }) => originals[method](...args));
+    },
+    restore() {
+      Object.assign(console, originals);
+    },
+  };
+}
+
+// Run tasks with a pool of N workers. Results keep the input order, and with
+// more than one worker each task's console output is buffered and printed in
+// input order once that task (and every task before it) has finished.
+async function runWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  const workers = Math.max(1, Math.min(concurrency || 1, items.length));
+
+  if (workers === 1) {
+    for (let i = 0; i < items.length; i++) {
+      results[i] = await task(items[i], i);
+    }
+    return results;
+  }
+
+  const output = captureConsoleOutput();
+  const buffers = new Array(items.length);
+  let next = 0;
+  let flushed = 0;
+
+  const flushReady = () => {
+    while (flushed < items.length && buffers[flushed]) {
+      output.flush(buffers[flushed]);
+      buffers[flushed] = true;
+      flushed++;
+    }
+  };
+
+  // After a failure no new tasks start; running ones finish, then the first
+  // error is re-thrown
+  let failure = null;
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      const buffer = [];
+      try {
+        results[index] = await outputBuffer.run(buffer, () => task(items[index], index));
+      } catch (error) {
+        failure = failure || { error };
+      } finally {
+        buffers[index] = buffer;
+        flushReady();
+      }
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: workers }, worker));
+  } finally {
+    // Print whatever is still buffered, in input order
+    buffers.forEach((buffer, index) => {
+      if (index >= flushed && Array.isArray(buffer)) {
+        output.flush(buffer);
+      }
+    });
+    output.restore();
+  }
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+}
+
+// Make a string safe to use in report file names
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9-]/g, '');
+}
+
+// Resolve a viewport spec from the config: a Playwright device name
+// ("iPhone 13"), { "device": "Pixel 7", ... } or { "width", "height", ... }
+function resolveViewport(spec) {
+  const { device: deviceName, name, ...overrides } = typeof spec === 'string' ? { device: spec } : spec;
+  let options = {};
+
+  if (deviceName) {
+    const descriptor = devices[deviceName];
+    if (!descriptor) {
+      throw new Error(`Unknown device "${deviceName}" (see Playwright's device list)`);
+    }
+    // defaultBrowserType is a test-runner hint, not a context option
+    const { defaultBrowserType, ...deviceOptions } = descriptor;
+    options = deviceOptions;
+  } else if (!spec.width || !spec.height) {
+    throw new Error(`Viewport ${JSON.stringify(spec)} needs a device name or width and height`);
+  }
+
+  const { width, height, ...contextOverrides } = overrides;
+  const viewport = {
+    width: width || options.viewport.width,
+    height: height || options.viewport.height,
+  };
+  const contextOptions = { ...options, ...contextOverrides, viewport };
+
+  return {
+    name: name || deviceName || `${viewport.width}x${viewport.height}`,
+    width: viewport.width,
+    height: viewport.height,
+    deviceScaleFactor: contextOptions.deviceScaleFactor || 1,
+    isMobile: !!contextOptions.isMobile,
+    contextOptions,
+  };
+}
+
+// Viewport details recorded in report metadata
+function viewportMeta(viewport) {
+  const { contextOptions, ...meta } = viewport;
+  return meta;
+}
+
+const defaultTags = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice', 'experimental'];
+
+// Active axe ruleset for a scenario. A scenario's "tags" replace the global
+// tags, its "rules" are merged over the global ones per rule id, and
+// "disableRules" from both levels are combined.
+function resolveRuleset(config, scenario = null) {
+  const toList = value => (Array.isArray(value) ? value : String(value).split(',').map(s => s.trim()).filter(Boolean));
+  const tags = scenario?.tags || config.tags;
+  const rules = { ...(config.rules || {}), ...(scenario?.rules || {}) };
+  const disableRules = [
+    ...toList(config.disableRules || []),
+    ...toList(scenario?.disableRules || []),
+  ];
+
+  disableRules.forEach(id => {
+    rules[id] = { ...(rules[id] || {}), enabled: false };
+  });
+
+  return {
+    tags: tags && toList(tags).length > 0 ? toList(tags) : defaultTags,
+    rules,
+  };
+}
+
+// Check "ignore" suppressions: every entry needs a rule id and a reason, and
+// expired entries are reported (they no longer suppress anything)
+function checkSuppressions(ignoreList, now = new Date()) {
+  const errors = [];
+  const expired = [];
+
+  ignoreList.forEach((entry, index) => {
+    const label = `ignore[${index}]${entry?.rule ? ` (${entry.rule})` : ''}`;
+    if (!entry || typeof entry.rule !== 'string' || !entry.rule) {
+      errors.push(`${label}: "rule" is required`);
+    }
+    if (!entry?.reason || !String(entry.reason).trim()) {
+      errors.push(`${label}: "reason" is required`);
+    }
+    if (entry?.expires) {
+      const expires = new Date(entry.expires);
+      if (isNaN(expires.getTime())) {
+        errors.push(`${label}: invalid "expires" date "${entry.expires}"`);
+      } else if (expires < now) {
+        expired.push(`${label}: expired on ${entry.expires} (${entry.reason})`);
+      }
+    }
+  });
+
+  return { errors, expired };
+}
+
+// Resolve the CSS "target" of ignore entries against the page. A node
+// matches when its element, or one of its ancestors, matches the selector,
+// whatever selector axe picked for it. Returns the matching selectors per node.
+async function matchSuppressionTargets(page, ignoreList, rules) {
+  const matches = new Map();
+  for (const rule of rules) {
+    const selectors = [...new Set((ignoreList || []).filter(entry => entry.rule === rule.id && entry.target).map(entry => entry.target))];
+    if (selectors.length === 0) {
+      continue;
+    }
+    for (const node of rule.nodes) {
+      const matched = await locatorForTarget(page, node.target)
+        .evaluate((element, list) => list.filter(selector => {
+          try {
+            return element.matches(selector) || element.closest(selector) !== null;
+          } catch (e) {
+            // Invalid selector
+            return false;
+          }
+        }), selectors, { timeout: 1000 })
+        .catch(() => []);
+      matches.set(node, new Set(matched));
+    }
+  }
+  return matches;
+}
+
+// Find the active suppression (if any) matching a node of a rule on a page.
+// targetMatches comes from matchSuppressionTargets().
+function findSuppression(ignoreList, ruleId, node, url, targetMatches = new Map()) {
+  const now = new Date();
+  return ignoreList.find(entry => {
+    if (entry.rule !== ruleId) {
+      return false;
+    }
+    if (entry.expires && new Date(entry.expires) < now) {
+      return false;
+    }
+    if (entry.target && !targetMatches.get(node)?.has(entry.target)) {
+      return false;
+    }
+    if (entry.url) {
+      const pattern = globToRegExp(entry.url);
+      return pattern.test(url) || pattern.test(pageKey(url));
+    }
+    return true;
+  });
+}
+
+// Split axe results into what still counts and what is suppressed. A rule
+// only disappears from the results when all of its nodes are suppressed.
+function applySuppressions(axeResults, ignoreList, url, targetMatches = new Map()) {
+  if (!ignoreList || ignoreList.length === 0) {
+    return { results: axeResults, suppressed: [] };
+  }
+
+  const suppressed = [];
+  const filter = (rules, type) => rules.reduce((kept, rule) => {
+    const remaining = [];
+    const bySuppression = new Map();
+    rule.nodes.forEach(node => {
+      const entry = findSuppression(ignoreList, rule.id, node, url, targetMatches);
+      if (entry) {
+        bySuppression.set(entry, [...(bySuppression.get(entry) || []), node]);
+      } else {
+        remaining.push(node);
+      }
+    });
+    bySuppression.forEach((nodes, entry) => {
+      suppressed.push({ ...rule, type, nodes, suppression: entry });
+    });
+    if (remaining.length > 0) {
+      kept.push(remaining.length === rule.nodes.length ? rule : { ...rule, nodes: remaining });
+    }
+    return kept;
+  }, []);
+
+  return {
+    results: {
+      ...axeResults,
+      violations: filter(axeResults.violations, 'violation'),
+      incomplete: filter(axeResults.incomplete, 'incomplete'),
+    },
+    suppressed,
+  };
+}
+
+// Navigate to a scenario's URL and get it ready for scanning: consent
+// cookies, readiness strategies and overlay dismissal
+async function openPage(page, fullUrl, config, scenario = null) {
+  // Pre-set consent cookies so consent banners never show
+  const dismissal = resolveDismissal(config, scenario);
+  if (dismissal.cookies.length > 0) {
+    await page.context().addCookies(consentCookies(dismissal.cookies, fullUrl));
+    log.info(`   🍪 Pre-set consent cookies: ${dismissal.cookies.map(c => c.name).join(', ')}`);
+  }
+
+  // Navigate to the URL (authentication already handled if needed)
+  await page.goto(fullUrl, {
+    waitUntil: 'load',
+    timeout: scenario?.navigationTimeout ?? config.navigationTimeout ?? defaultNavigationTimeout,
+  });
+
+  // Wait until dynamic content has settled instead of sleeping a fixed time
+  log.info(`   ⏳ Page loaded, waiting for dynamic content...`);
+  const readinessConfig = resolveReadiness(config, scenario);
+  const readiness = await waitForReady(page, readinessConfig);
+
+  // Try to dismiss cookie banners and overlays (configurable per scenario)
+  const overlay = await dismissOverlays(page, dismissal);
+
+  // Let the page settle again after an overlay was dismissed
+  if (overlay?.selector && readinessConfig.quietPeriod) {
+    const settle = await waitForReady(page, { quietPeriod: readinessConfig.quietPeriod, timeout: readinessConfig.timeout });
+    readiness.steps.push(...settle.steps.map(step => ({ ...step, strategy: `${step.strategy} (after dismissal)` })));
+    readiness.waitedMs += settle.waitedMs;
+    readiness.timedOut = readiness.timedOut || settle.timedOut;
+  }
+
+  return { overlay, readiness };
+}
+
+// Built-in custom checks, enabled by name in "plugins". They used to be
+// debug-only probes; axe's link-name and list rules cover most of the same.
+const builtinPlugins = {
+  'links-without-text': {
+    id: 'links-without-text',
+    impact: 'serious',
+    help: 'Links must have text',
+    description: 'Ensures links have text content, an aria-label, a title or an image with alt text',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/link-purpose-in-context.html',
+    tags: ['wcag2a', 'wcag244', 'wcag412'],
+    evaluate() {
+      return [...document.querySelectorAll('a[href]:not([aria-label]):not([title])')]
+        .filter(link => !link.textContent?.trim() && !link.querySelector('img[alt]'));
+    },
+  },
+  'list-structure': {
+    id: 'list-structure',
+    impact: 'serious',
+    help: 'Lists must only contain <li>, <script> or <template> elements',
+    description: 'Ensures <ul> and <ol> elements are structured correctly',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/info-and-relationships.html',
+    tags: ['wcag2a', 'wcag131'],
+    evaluate() {
+      return [...document.querySelectorAll('ul, ol')].filter(list =>
+        [...list.children].some(child => !['LI', 'SCRIPT', 'TEMPLATE'].includes(child.tagName))
+      );
+    },
+  },
+};
+
+const pluginImpacts = ['critical', 'serious', 'moderate', 'minor'];
+
+// Load the plugins listed in config.plugins: built-in names, module paths
+// (default export: a plugin, an array of plugins or a function of the entry's
+// options returning either) or, in JavaScript configs, plugin objects
+async function resolvePlugins(config) {
+  const plugins = [];
+  for (const entry of config.plugins || []) {
+    const spec = typeof entry === 'string' ? { path: entry } : entry;
+    let loaded = spec;
+    if (spec.path) {
+      if (builtinPlugins[spec.path]) {
+        loaded = builtinPlugins[spec.path];
+      } else {
+        const file = path.resolve(spec.path);
+        if (!fs.existsSync(file)) {
+          throw new Error(`Plugin not found: ${spec.path} (built-in plugins: ${Object.keys(builtinPlugins).join(', ')})`);
+        }
+        const module = await import(pathToFileURL(file).href);
+        loaded = module.default ?? module;
+      }
+    }
+    if (typeof loaded === 'function') {
+      loaded = await loaded(spec.options || {});
+    }
+
+    [].concat(loaded).forEach(plugin => {
+      const source = spec.path || plugin?.id || 'inline plugin';
+      if (!plugin || typeof plugin !== 'object' || !plugin.id) {
+        throw new Error(`Plugin ${source}: must have an "id"`);
+      }
+      if (!plugin.evaluate === !plugin.axe) {
+        throw new Error(`Plugin ${plugin.id}: define either "evaluate" (an in-page check) or "axe" (rules and checks for axe.configure)`);
+      }
+      const impact = spec.impact || plugin.impact || 'moderate';
+      if (!pluginImpacts.includes(impact)) {
+        throw new Error(`Plugin ${plugin.id}: impact must be one of ${pluginImpacts.join(', ')}`);
+      }
+      plugins.push({
+        ...plugin,
+        impact,
+        help: plugin.help || plugin.id,
+        description: plugin.description || plugin.help || plugin.id,
+        helpUrl: plugin.helpUrl || 'https://www.w3.org/WAI/WCAG22/quickref/',
+        tags: plugin.tags || [],
+        options: spec.options || plugin.options || {},
+        source,
+        ruleIds: plugin.axe ? (plugin.axe.rules || []).map(rule => rule.id) : [plugin.id],
+      });
+    });
+  }
+
+  const ids = plugins.flatMap(plugin => plugin.ruleIds);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate plugin rule id: ${duplicate}`);
+  }
+  return plugins;
+}
+
+// Page-side source of a value: like JSON, but functions are kept as code
+// (method shorthand such as "evaluate(node) {}" becomes a function expression)
+function toPageSource(value) {
+  if (typeof value === 'function') {
+    const source = value.toString();
+    if (/^(async\s+)?(function\b|\(|[\w$]+\s*=>)/.test(source)) {
+      return source;
+    }
+    return source.startsWith('async ') ? `async function ${source.slice(6)}` : `function ${source}`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(toPageSource).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${toPageSource(item)}`).join(', ')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// axe-core source with the axe plugins' rules and checks registered through
+// axe.configure, injected into every frame in place of plain axe-core.
+// Rules and checks without metadata get the plugin's impact and help text.
+function pluginAxeSource(plugins) {
+  const axePlugins = plugins.filter(plugin => plugin.axe);
+  if (axePlugins.length === 0) {
+    return undefined;
+  }
+  const spec = {
+    checks: axePlugins.flatMap(plugin => (plugin.axe.checks || []).map(check => ({
+      ...check,
+      options: check.options ?? plugin.options,
+      metadata: { impact: plugin.impact, ...check.metadata },
+    }))),
+    rules: axePlugins.flatMap(plugin => (plugin.axe.rules || []).map(rule => ({
+      tags: plugin.tags,
+      ...rule,
+      metadata: { help: plugin.help, description: plugin.description, helpUrl: plugin.helpUrl, ...rule.metadata },
+    }))),
   };
+  return `${axe.source}\n;axe.configure(${toPageSource(spec)});`;
+}
 
-  let markdown = `# Accessibility Test Report: ${pageName}\n\n`;
-  markdown += `**Test Name:** ${testName}\n`;
-  markdown += `**URL:** ${url}\n`;
-  markdown += `**Date:** ${timestamp}\n`;
-  markdown += `**Axe Version:** ${results.testEngine.version}\n\n`;
+// Runs in the page: call an in-page plugin and describe what it returned
+// (elements, or objects with an element or selector and a message)
+async function collectPluginNodes(evaluate, options, selectorFor) {
+  const found = (await evaluate(options)) || [];
+  return [].concat(found).map(item => {
+    const element = item instanceof Element ? item : item.element;
+    return {
+      selector: item.selector || (element ? selectorFor(element) : 'html'),
+      html: item.html || (element ? element.outerHTML.slice(0, 250) : ''),
+      message: item.message || null,
+    };
+  });
+}
 
-  markdown += `---\n\n`;
+// Short CSS selector of an element (up to the nearest id), used in the page
+// for plugin and keyboard audit nodes
+function elementSelector(el) {
+  const parts = [];
+  while (el && el.nodeType === 1 && parts.length < 5) {
+    if (el.id) {
+      parts.unshift(`#${CSS.escape(el.id)}`);
+      break;
+    }
+    let part = el.localName;
+    const siblings = el.parentElement ? [...el.parentElement.children].filter(child => child.localName === el.localName) : [];
+    if (siblings.length > 1) {
+      part += `:nth-of-type(${siblings.indexOf(el) + 1})`;
+    }
+    parts.unshift(part);
+    el = el.parentElement;
+  }
+  return parts.join(' > ');
+}
 
-  // Summary table
-  markdown += `## Summary\n\n`;
-  markdown += `| Metric | Count |\n`;
-  markdown += `|--------|-------|\n`;
-  markdown += `| 🔴 **Violations** | **${violations.length}** |\n`;
-  markdown += `| ✅ Passes | ${passes.length} |\n`;
-  markdown += `| ⚠️ Incomplete | ${incomplete.length} |\n`;
-  markdown += `| ℹ️ Inapplicable | ${inapplicable.length} |\n\n`;
+// Run the in-page plugins and return their results as axe rule results
+async function runPagePlugins(page, plugins, ruleset) {
+  const violations = [];
+  const passes = [];
+  for (const plugin of plugins.filter(p => p.evaluate && ruleset.rules[p.id]?.enabled !== false)) {
+    const nodes = await page.evaluate(`(${collectPluginNodes})(${toPageSource(plugin.evaluate)}, ${JSON.stringify(plugin.options)}, ${elementSelector})`);
+    log.debug(`   🧩 ${plugin.id}: ${nodes.length} node(s)`);
+    const rule = {
+      id: plugin.id,
+      impact: nodes.length > 0 ? plugin.impact : null,
+      tags: plugin.tags,
+      description: plugin.description,
+      help: plugin.help,
+      helpUrl: plugin.helpUrl,
+      nodes: nodes.map(node => ({
+        target: [node.selector],
+        html: node.html,
+        impact: plugin.impact,
+        any: [],
+        all: [],
+        none: [{ id: plugin.id, impact: plugin.impact, message: node.message || plugin.help }],
+        failureSummary: `Fix the following:\n  ${node.message || plugin.help}`,
+      })),
+    };
+    (nodes.length > 0 ? violations : passes).push(rule);
+  }
+  return { violations, passes };
+}
 
-  // Violations by severity
-  if (violations.length > 0) {
-    markdown += `### Violations by Severity\n\n`;
-    markdown += `| Severity | Count |\n`;
-    markdown += `|----------|-------|\n`;
-    markdown += `| 🔴 Critical | ${violationsBySeverity.critical.length} |\n`;
-    markdown += `| 🟠 Serious | ${violationsBySeverity.serious.length} |\n`;
-    markdown += `| 🟡 Moderate | ${violationsBySeverity.moderate.length} |\n`;
-    markdown += `| ⚪ Minor | ${violationsBySeverity.minor.length} |\n\n`;
+// Run axe with the scenario's ruleset and exclusions, then apply suppressions
+async function runAxeScan(page, config, scenario, ignoreList, plugins = []) {
+  // Run the configured ruleset (by default WCAG 2.0/2.1 A/AA plus
+  // best-practice and experimental rules)
+  const ruleset = resolveRuleset(config, scenario);
+  log.info(`   🏷️  Tags: ${ruleset.tags.join(', ')}`);
+  const disabledRules = Object.keys(ruleset.rules).filter(id => ruleset.rules[id].enabled === false);
+  if (disabledRules.length > 0) {
+    log.info(`   🚫 Disabled rules: ${disabledRules.join(', ')}`);
+  }
+  // Plugin axe rules run whatever their tags, unless disabled in the ruleset
+  const pluginRules = Object.fromEntries(plugins.filter(p => p.axe).flatMap(p => p.ruleIds).map(id => [id, { enabled: true }]));
+  const axeBuilder = new AxeBuilder({ page, axeSource: pluginAxeSource(plugins) }).options({
+    runOnly: { type: 'tag', values: ruleset.tags },
+    rules: { ...pluginRules, ...ruleset.rules },
+  });
 
-    markdown += `---\n\n`;
+  // Add exclusions
+  if (config.exclude && config.exclude.length > 0) {
+    config.exclude.forEach(selector => {
+      axeBuilder.exclude(selector);
+    });
+  }
 
-    // Detailed violations
-    markdown += `## Violations Details\n\n`;
+  const axeResults = await axeBuilder.analyze();
 
-    ['critical', 'serious', 'moderate', 'minor'].forEach(severity => {
-      const severityViolations = violationsBySeverity[severity];
-      if (severityViolations.length > 0) {
-        const emoji = severity === 'critical' ? '🔴' :
-                     severity === 'serious' ? '🟠' :
-                     severity === 'moderate' ? '🟡' : '⚪';
+  // In-page plugin results join axe's, so they are suppressed and merged alike
+  const pagePlugins = await runPagePlugins(page, plugins, ruleset);
+  axeResults.violations.push(...pagePlugins.violations);
+  axeResults.passes.push(...pagePlugins.passes);
 
-        markdown += `### ${emoji} ${severity.charAt(0).toUpperCase() + severity.slice(1)} Issues (${severityViolations.length})\n\n`;
+  // Move violations matched by "ignore" suppressions out of the results
+  const targetMatches = await matchSuppressionTargets(page, ignoreList, [...axeResults.violations, ...axeResults.incomplete]);
+  const { results, suppressed } = applySuppressions(axeResults, ignoreList, page.url(), targetMatches);
+  return { results, suppressed, ruleset };
+}
 
-        severityViolations.forEach((violation, index) => {
-          markdown += `#### ${index + 1}. ${violation.id}\n\n`;
-          markdown += `**Impact:** ${violation.impact}\n\n`;
-          markdown += `**Description:** ${violation.help}\n\n`;
-          markdown += `${violation.description}\n\n`;
-          markdown += `**Nodes Affected:** ${violation.nodes.length}\n\n`;
-          markdown += `**WCAG Reference:** [${violation.id}](${violation.helpUrl})\n\n`;
+// Combine the scans of several checkpoints: rules are merged by id and
+// nodes deduplicated by fingerprint, so an issue seen at every checkpoint
+// is only counted once
+function mergeCheckpoints(checkpoints) {
+  if (checkpoints.length === 1) {
+    return { results: checkpoints[0].results, suppressed: checkpoints[0].suppressed };
+  }
 
-          // Show first few affected elements
-          if (violation.nodes.length > 0) {
-            markdown += `**Affected Elements:**\n\n`;
-            const nodesToShow = Math.min(3, violation.nodes.length);
-            for (let i = 0; i < nodesToShow; i++) {
-              const node = violation.nodes[i];
-              markdown += `${i + 1}. \`${node.html.replace(/`/g, '\\`')}\`\n`;
+  const mergeRules = lists => {
+    const merged = new Map();
+    lists.flat().forEach(rule => {
+      if (!merged.has(rule.id)) {
+        merged.set(rule.id, { ...rule, nodes: [] });
+      }
+      const entry = merged.get(rule.id);
+      const seen = new Set(entry.nodes.map(fingerprintNode));
+      rule.nodes.forEach(node => {
+        if (!seen.has(fingerprintNode(node))) {
+          entry.nodes.push(node);
+        }
+      });
+    });
+    return [...merged.values()];
+  };
 
-              // Add failure messages if available
-              const allChecks = [
-                ...(node.any || []),
-                ...(node.all || []),
-                ...(node.none || [])
-              ];
-              const meaningfulChecks = allChecks.filter(check =>
-                (check.message && check.message.trim()) || (check.id && check.id.trim())
-              );
+  const last = checkpoints[checkpoints.length - 1].results;
+  return {
+    results: {
+      ...last,
+      violations: mergeRules(checkpoints.map(c => c.results.violations)),
+      incomplete: mergeRules(checkpoints.map(c => c.results.incomplete)),
+      passes: mergeRules(checkpoints.map(c => c.results.passes)),
+    },
+    suppressed: checkpoints.flatMap(c => c.suppressed),
+  };
+}
 
-              if (meaningfulChecks.length > 0) {
-                meaningfulChecks.forEach(check => {
-                  markdown += `   - ${check.message || check.id}\n`;
-                });
-              }
-              markdown += `\n`;
-            }
+// Perform a single scenario action
+async function runAction(page, action, { baseUrl, onScan }) {
+  // Actions can also be functions (when used as a module)
+  if (typeof action === 'function') {
+    await action(page);
+    return;
+  }
 
-            if (violation.nodes.length > nodesToShow) {
-              markdown += `*...and ${violation.nodes.length - nodesToShow} more*\n\n`;
-            }
-          }
+  const options = action.timeout ? { timeout: action.timeout } : {};
+  switch (action.type) {
+    case 'goto':
+      await page.goto(new URL(action.url, baseUrl).toString(), { waitUntil: 'load', ...options });
+      break;
+    case 'click':
+      await page.click(action.selector, options);
+      break;
+    case 'fill':
+      await page.fill(action.selector, action.value, options);
+      break;
+    case 'press':
+      if (action.selector) {
+        await page.press(action.selector, action.key, options);
+      } else {
+        await page.keyboard.press(action.key);
+      }
+      break;
+    case 'hover':
+      await page.hover(action.selector, options);
+      break;
+    case 'select':
+      await page.selectOption(
+        action.selector,
+        action.values || (action.label ? { label: action.label } : action.value),
+        options
+      );
+      break;
+    case 'check':
+      await page.setChecked(action.selector, action.checked !== false, options);
+      break;
+    case 'scroll':
+      if (action.selector) {
+        await page.locator(action.selector).first().scrollIntoViewIfNeeded(options);
+      } else {
+        await page.evaluate(({ x, y }) => {
+          window.scrollTo(x ?? window.scrollX, y ?? document.body.scrollHeight);
+        }, { x: action.x, y: action.y });
+      }
+      break;
+    case 'wait':
+      await page.waitForTimeout(action.duration || 1000);
+      break;
+    case 'waitForSelector':
+      await page.waitForSelector(action.selector, { state: action.state || 'visible', ...options });
+      break;
+    case 'waitForURL':
+      await page.waitForURL(action.url, options);
+      break;
+    case 'evaluate':
+      await page.evaluate(action.script);
+      break;
+    case 'scan':
+      await onScan(action);
+      break;
+    default:
+      throw new Error(`Unknown action type "${action.type}"`);
+  }
+}
 
-          markdown += `---\n\n`;
-        });
+// Run scenario actions in order. A failing action is logged and skipped,
+// unless it is marked "required", in which case the scenario fails.
+async function runActions(page, actions, handlers) {
+  for (const [index, action] of actions.entries()) {
+    const label = typeof action === 'function' ? 'function' : action.type;
+    try {
+      await runAction(page, action, handlers);
+    } catch (error) {
+      if (action.required) {
+        throw new Error(`Required action #${index + 1} (${label}) failed: ${error.message}`);
       }
-    });
-  } else {
-    markdown += `## ✅ No Violations Found\n\n`;
-    markdown += `All accessibility checks passed!\n\n`;
+      log.warn(`   ⚠️  Action #${index + 1} (${label}) failed: ${error.message}`);
+    }
   }
+}
 
-  // Incomplete checks
-  if (incomplete.length > 0) {
-    markdown += `## ⚠️ Incomplete Checks (${incomplete.length})\n\n`;
-    markdown += `These checks require manual review:\n\n`;
+// Keyboard audit (opt-in with "keyboard": true or an options object, also
+// per scenario). axe cannot tell whether a page works without a mouse.
+const defaultKeyboard = { maxTabs: 100, skipLink: true, clickable: true };
+const keyboardTypes = { maxTabs: 'number', skipLink: 'boolean', clickable: 'boolean' };
 
-    incomplete.forEach((item, index) => {
-      markdown += `### ${index + 1}. ${item.id}\n\n`;
-      markdown += `**Description:** ${item.help}\n\n`;
-      markdown += `${item.description}\n\n`;
-      markdown += `**Nodes to Review:** ${item.nodes.length}\n\n`;
-      markdown += `**Reference:** [${item.id}](${item.helpUrl})\n\n`;
-      markdown += `---\n\n`;
-    });
+// Focus stops before the main content above which a skip link is expected
+const bypassThreshold = 5;
+
+// Keyboard findings use the shape of axe rules so they are counted, reported
+// and suppressed like any other violation
+const keyboardRules = {
+  'keyboard-trap': {
+    impact: 'critical',
+    help: 'Keyboard focus must not be trapped',
+    description: 'Pressing Tab keeps cycling through the same elements, so keyboard users cannot reach the rest of the page',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/no-keyboard-trap.html',
+    tags: ['keyboard', 'wcag2a', 'wcag212'],
+  },
+  'keyboard-not-focusable': {
+    impact: 'serious',
+    help: 'Clickable elements must be reachable with the keyboard',
+    description: 'Ensures elements with click handlers, interactive roles or a pointer cursor can receive keyboard focus',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/keyboard.html',
+    tags: ['keyboard', 'wcag2a', 'wcag211'],
+  },
+  'keyboard-focus-visible': {
+    impact: 'serious',
+    help: 'Focused elements must have a visible focus indicator',
+    description: 'Ensures the focused element looks different from its unfocused state (outline, shadow, border or colours)',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-visible.html',
+    tags: ['keyboard', 'wcag2aa', 'wcag247'],
+  },
+  'keyboard-focus-hidden': {
+    impact: 'serious',
+    help: 'Keyboard focus must not move to hidden elements',
+    description: 'Ensures every focus stop is visible on screen while it has focus',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-order.html',
+    tags: ['keyboard', 'wcag2a', 'wcag243'],
+  },
+  'keyboard-skip-link': {
+    impact: 'moderate',
+    help: 'Skip links must move focus to their target',
+    description: 'Ensures that after activating a skip link, the next Tab continues from its target',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/bypass-blocks.html',
+    tags: ['keyboard', 'wcag2a', 'wcag241'],
+  },
+  'keyboard-bypass': {
+    impact: 'moderate',
+    help: 'Pages should have a skip link to the main content',
+    description: `Ensures keyboard users can skip past repeated content when more than ${bypassThreshold} focus stops come before the main landmark`,
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/bypass-blocks.html',
+    tags: ['keyboard', 'wcag2a', 'wcag241'],
+  },
+};
+
+// Keyboard audit options for a scenario (null when the audit is off). The
+// scenario's "keyboard" is merged over the global one; false turns it off.
+function resolveKeyboard(config, scenario = null) {
+  const specs = [config.keyboard, scenario?.keyboard];
+  if (scenario?.keyboard === false || !specs.some(spec => spec === true || (spec && typeof spec === 'object'))) {
+    return null;
   }
 
-  return markdown;
+  const keyboard = { ...defaultKeyboard };
+  specs.forEach(spec => {
+    if (spec === undefined || spec === null || spec === false || spec === true) {
+      return;
+    }
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error(`"keyboard" must be a boolean or an object, got ${JSON.stringify(spec)}`);
+    }
+    Object.assign(keyboard, spec);
+  });
+
+  Object.entries(keyboard).forEach(([key, value]) => {
+    if (!keyboardTypes[key]) {
+      throw new Error(`Unknown "keyboard" option: ${key} (use ${Object.keys(keyboardTypes).join(', ')})`);
+    }
+    if (typeof value !== keyboardTypes[key]) {
+      throw new Error(`"keyboard.${key}" must be a ${keyboardTypes[key]}`);
+    }
+  });
+  return keyboard;
 }
 
-// Test a single URL
-async function testUrl(context, url, config, scenario = null, isAuthenticated = false) {
-  const page = await context.newPage();
+// Installed in the page as window.__a11yKeyboard: records each element's
+// unfocused styles and describes the focused element at every Tab
+function installKeyboardProbe(selectorFor) {
+  const focusable = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, summary, iframe, '
+    + 'audio[controls], video[controls], [contenteditable]:not([contenteditable="false"]), [tabindex]:not([tabindex^="-"])';
+  const styleKeys = ['outlineStyle', 'outlineWidth', 'outlineColor', 'boxShadow', 'borderTopColor', 'borderBottomColor',
+    'borderTopWidth', 'borderBottomWidth', 'backgroundColor', 'color', 'textDecorationLine'];
+  const snapshot = el => {
+    const own = getComputedStyle(el);
+    // :focus-within styles on the parent count as an indicator too
+    const parent = el.parentElement ? getComputedStyle(el.parentElement) : null;
+    return [...styleKeys.map(key => own[key]), parent?.outlineStyle, parent?.boxShadow, parent?.backgroundColor].join('|');
+  };
+  const isVisible = el => {
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    return rect.width > 1 && rect.height > 1 && style.visibility !== 'hidden' && style.opacity !== '0'
+      && rect.right > 0 && rect.bottom > 0 && rect.left < innerWidth;
+  };
+  const ids = new Map();
+  const idOf = el => {
+    if (!ids.has(el)) {
+      ids.set(el, ids.size + 1);
+    }
+    return ids.get(el);
+  };
 
-  try {
-    const testName = scenario?.name || config.name || 'Accessibility Test';
-    const fullUrl = scenario ? `${config.baseUrl || config.url}${scenario.path}` : url;
-
-    console.log(`\n🔍 Testing: ${testName}`);
-    console.log(`   URL: ${fullUrl}`);
-
-    // Navigate to the URL (authentication already handled if needed)
-    await page.goto(fullUrl, {
-      waitUntil: 'load',
-      timeout: 60000 // Increase timeout to 60 seconds
-    });
-
-    // Wait for page to be fully loaded
-    await page.waitForLoadState('domcontentloaded');
-
-    // Additional wait to ensure dynamic content is loaded
-    await page.waitForTimeout(2000);
-
-    console.log(`   ⏳ Page loaded, waiting for dynamic content...`);
-
-    // Try to dismiss common cookie banners and overlays
-    console.log(`   🍪 Attempting to dismiss cookie banners and overlays...`);
-    const dismissSelectors = [
-      // Common cookie banner buttons
-      'button[id*="accept"]',
-      'button[id*="cookie"]',
-      'button[class*="accept"]',
-      'button[class*="cookie"]',
-      'button[aria-label*="accept"]',
-      'button[aria-label*="cookie"]',
-      'button:has-text("Accept")',
-      'button:has-text("Accept All")',
-      'button:has-text("Got it")',
-      'button:has-text("OK")',
-      'button:has-text("Close")',
-      'a[class*="close"]',
-      '[role="dialog"] button',
-      '.cookie-banner button',
-      '#cookie-banner button',
-      // Common modal/overlay close buttons
-      'button[aria-label="Close"]',
-      'button[aria-label="Dismiss"]',
-      '[data-testid="close-button"]',
-      '.modal-close',
-      '.overlay-close',
-    ];
-
-    let dismissed = 0;
-    for (const selector of dismissSelectors) {
-      try {
-        const element = page.locator(selector).first();
-        if (await element.isVisible({ timeout: 500 })) {
-          await element.click({ timeout: 1000 });
-          dismissed++;
-          console.log(`   ✅ Dismissed overlay/banner using: ${selector}`);
-          await page.waitForTimeout(500); // Wait for animation
-          break; // Only dismiss one banner
+  if (document.activeElement && document.activeElement !== document.body) {
+    document.activeElement.blur();
+  }
+  const baseline = new WeakMap();
+  document.querySelectorAll(focusable).forEach(el => baseline.set(el, snapshot(el)));
+
+  window.__a11yKeyboard = {
+    // Blurring is not enough: browsers continue tabbing from the last focused
+    // element, so focus a placeholder at the start of the body instead
+    reset() {
+      let start = document.querySelector('[data-a11y-keyboard-start]');
+      if (!start) {
+        start = document.createElement('span');
+        start.tabIndex = -1;
+        start.setAttribute('data-a11y-keyboard-start', '');
+        document.body.prepend(start);
+      }
+      start.focus({ preventScroll: true });
+      window.scrollTo(0, 0);
+    },
+    cleanup() {
+      document.querySelector('[data-a11y-keyboard-start]')?.remove();
+      document.activeElement?.blur();
+    },
+    current() {
+      const el = document.activeElement;
+      if (!el || el === document.body || el === document.documentElement || el.hasAttribute('data-a11y-keyboard-start')) {
+        return null;
+      }
+      const style = getComputedStyle(el);
+      const indicator = baseline.has(el)
+        ? baseline.get(el) !== snapshot(el)
+        : (style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0) || style.boxShadow !== 'none';
+      return {
+        id: idOf(el),
+        selector: selectorFor(el),
+        tag: el.localName,
+        role: el.getAttribute('role'),
+        text: (el.getAttribute('aria-label') || el.innerText || el.value || el.getAttribute('title') || '').trim().replace(/\s+/g, ' ').slice(0, 80),
+        html: el.outerHTML.slice(0, 250),
+        href: el.getAttribute('href'),
+        tabIndex: el.tabIndex,
+        visible: isVisible(el),
+        indicator,
+        inMain: !!el.closest('main, [role="main"]'),
+        inModal: !!el.closest('[aria-modal="true"], dialog[open]'),
+      };
+    },
+    // After activating a skip link: did focus land in or after its target?
+    followsTarget(href) {
+      const id = decodeURIComponent(href.slice(1));
+      const target = document.getElementById(id) || document.getElementsByName(id)[0];
+      const el = document.activeElement;
+      return !!target && !!el && el !== document.body
+        && (target === el || target.contains(el) || !!(target.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING));
+    },
+    // Visible elements that look clickable but cannot get keyboard focus
+    unfocusable(limit) {
+      const roles = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option', 'treeitem'];
+      const found = [];
+      for (const el of document.body.querySelectorAll('*')) {
+        if (found.length >= limit) {
+          break;
         }
-      } catch (e) {
-        // Selector not found or not clickable, continue
+        if (el.closest(focusable) || el.closest('label') || el.querySelector(focusable) || el.matches(':disabled')) {
+          continue;
+        }
+        const cursor = getComputedStyle(el).cursor;
+        // Only the element that sets the pointer cursor, not its children
+        const pointer = cursor === 'pointer' && (!el.parentElement || getComputedStyle(el.parentElement).cursor !== 'pointer');
+        if ((el.hasAttribute('onclick') || roles.includes(el.getAttribute('role')) || pointer) && isVisible(el)) {
+          found.push({
+            selector: selectorFor(el),
+            html: el.outerHTML.slice(0, 250),
+            reason: el.hasAttribute('onclick') ? 'has an onclick handler' : el.getAttribute('role') ? `has role="${el.getAttribute('role')}"` : 'has a pointer cursor',
+          });
+        }
+      }
+      return found;
+    },
+  };
+}
+
+// Tab through the page: record the focus order and report traps, missing
+// focus indicators, hidden focus stops, clickable elements that cannot be
+// focused and skip links that are missing or do not work
+async function auditKeyboard(page, options) {
+  await page.evaluate(`(${installKeyboardProbe})(${elementSelector})`);
+  await page.evaluate(() => window.__a11yKeyboard.reset());
+
+  const stops = [];
+  const seen = new Map();
+  let trap = null;
+  let completed = false;
+  for (let i = 0; i < options.maxTabs; i++) {
+    await page.keyboard.press('Tab');
+    const stop = await page.evaluate(() => window.__a11yKeyboard.current());
+    // Focus left the document (or there was nothing to focus)
+    if (!stop) {
+      completed = true;
+      break;
+    }
+    // Tabbing inside a frame keeps the iframe as the active element
+    if (stop.tag === 'iframe' && stops[stops.length - 1]?.id === stop.id) {
+      continue;
+    }
+    if (seen.has(stop.id)) {
+      // Back at the first stop: focus wrapped around the whole page
+      if (stop.id === stops[0].id) {
+        completed = true;
+        break;
       }
+      const cycle = stops.slice(seen.get(stop.id));
+      // Modal dialogs are expected to keep focus inside them
+      trap = { start: cycle[0], elements: cycle.map(s => s.selector), modal: cycle.every(s => s.inModal) };
+      break;
     }
+    seen.set(stop.id, stops.length);
+    stops.push(stop);
+  }
 
-    if (dismissed === 0) {
-      console.log(`   ℹ️  No cookie banners or overlays detected`);
+  const findings = new Map();
+  const addFinding = (ruleId, node, message) => {
+    if (!findings.has(ruleId)) {
+      findings.set(ruleId, { id: ruleId, ...keyboardRules[ruleId], nodes: [] });
     }
+    findings.get(ruleId).nodes.push({
+      target: [node.selector],
+      html: node.html || '',
+      impact: keyboardRules[ruleId].impact,
+      any: [],
+      all: [],
+      none: [{ id: ruleId, message }],
+    });
+  };
 
-    // Wait a bit more for any animations to complete
-    await page.waitForTimeout(1000);
+  if (trap && !trap.modal) {
+    addFinding('keyboard-trap', trap.start, `Focus cycles between ${trap.elements.length} element(s): ${trap.elements.join(', ')}`);
+  }
+  stops.forEach((stop, index) => {
+    if (!stop.visible) {
+      addFinding('keyboard-focus-hidden', stop, `Focus stop ${index + 1} is not visible while focused`);
+    } else if (!stop.indicator) {
+      addFinding('keyboard-focus-visible', stop, `Focus stop ${index + 1} looks the same focused and unfocused`);
+    }
+  });
 
-    // Perform custom actions if defined
-    if (scenario?.actions && Array.isArray(scenario.actions)) {
-      console.log(`   Executing ${scenario.actions.length} custom action(s)...`);
-      for (const action of scenario.actions) {
-        try {
-          // Actions should be functions or objects with type and parameters
-          if (typeof action === 'function') {
-            await action(page);
-          } else if (action.type === 'click') {
-            await page.click(action.selector);
-          } else if (action.type === 'fill') {
-            await page.fill(action.selector, action.value);
-          } else if (action.type === 'wait') {
-            await page.waitForTimeout(action.duration || 1000);
-          }
-        } catch (error) {
-          console.warn(`   ⚠️  Action failed: ${error.message}`);
-        }
+  // Skip link: an in-page link among the first focus stops
+  let skipLink = null;
+  if (options.skipLink && stops.length > 0) {
+    const index = stops.slice(0, 3).findIndex(s => s.href && s.href.length > 1 && s.href.startsWith('#') && /skip|jump|main|content/i.test(s.text));
+    if (index !== -1) {
+      const link = stops[index];
+      await page.evaluate(() => window.__a11yKeyboard.reset());
+      for (let i = 0; i <= index; i++) {
+        await page.keyboard.press('Tab');
+      }
+      await page.keyboard.press('Enter');
+      await page.keyboard.press('Tab');
+      const works = await page.evaluate(href => window.__a11yKeyboard.followsTarget(href), link.href);
+      skipLink = { selector: link.selector, text: link.text, href: link.href, works };
+      if (!works) {
+        addFinding('keyboard-skip-link', link, `After activating the link, focus does not continue from ${link.href}`);
+      }
+    } else {
+      const firstInMain = stops.findIndex(s => s.inMain);
+      if (firstInMain > bypassThreshold) {
+        addFinding('keyboard-bypass', stops[0], `${firstInMain} focus stops before the main content and no skip link`);
       }
     }
+  }
+
+  if (options.clickable) {
+    const unfocusable = await page.evaluate(limit => window.__a11yKeyboard.unfocusable(limit), 50);
+    unfocusable.forEach(node => addFinding('keyboard-not-focusable', node, `Element ${node.reason} but cannot receive keyboard focus`));
+  }
+  await page.evaluate(() => window.__a11yKeyboard.cleanup());
+
+  return {
+    stops: stops.map(({ id, html, inModal, ...stop }) => stop),
+    completed,
+    truncated: !completed && !trap,
+    trap: trap && { elements: trap.elements, modal: trap.modal },
+    skipLink,
+    findings: [...findings.values()],
+  };
+}
+
+// One-line summary of a keyboard audit for report headers
+function describeKeyboard(keyboard) {
+  const parts = [`${keyboard.stops.length} focus stop${keyboard.stops.length === 1 ? '' : 's'}${keyboard.truncated ? ' (stopped at the Tab limit)' : ''}`];
+  if (keyboard.trap) {
+    parts.push(keyboard.trap.modal ? 'focus kept inside a modal dialog' : 'focus trap');
+  }
+  if (keyboard.skipLink) {
+    parts.push(`skip link ${keyboard.skipLink.works ? 'works' : 'does not work'}`);
+  }
+  parts.push(`${keyboard.findings.length} finding${keyboard.findings.length === 1 ? '' : 's'}`);
+  return parts.join(', ');
+}
+
+// Open (optionally) and scan a page, running the scenario's actions with
+// "scan" checkpoints. Returns structured results and writes nothing.
+async function scanPage(page, config, scenario = null, fullUrl = null) {
+  const keyboardOptions = resolveKeyboard(config, scenario);
+  // run() and scan() resolve plugins once; testUrl() may be called directly
+  const plugins = config.resolvedPlugins || await resolvePlugins(config);
+  if (plugins.length > 0) {
+    log.info(`   🧩 Plugins: ${plugins.flatMap(p => p.ruleIds).join(', ')}`);
+  }
+  const { overlay, readiness } = fullUrl
+    ? await openPage(page, fullUrl, config, scenario)
+    : { overlay: null, readiness: null };
 
-    // Run accessibility scan
-    console.log(`   🔍 Running accessibility scan...`);
-    console.log(`   📄 Scanning URL: ${page.url()}`);
+  // Axe runs at every "scan" action (a checkpoint) and once more at the end
+  const ignoreList = [...(config.ignore || []), ...(scenario?.ignore || [])];
+  const checkpoints = [];
+  const scanCheckpoint = async (name = null) => {
+    log.info(`   🔍 Running accessibility scan${name ? ` (checkpoint: ${name})` : ''}...`);
+    log.debug(`   📄 Scanning URL: ${page.url()}`);
+    const scan = await runAxeScan(page, config, scenario, ignoreList, plugins);
+    checkpoints.push({ name, url: page.url(), ...scan });
 
-    // Get page info for debugging
-    const pageTitle = await page.title();
-    console.log(`   📋 Page title: ${pageTitle}`);
+    const scanResults = scan.results;
+    log.info(`   ✅ Scan complete`);
+    log.debug(`   🔍 Axe version: ${scanResults.testEngine.version}`);
+    log.debug(`   📊 Rules run: ${scanResults.passes.length + scanResults.violations.length + scanResults.incomplete.length + scanResults.inapplicable.length}`);
+    log.debug(`   ✅ Passed: ${scanResults.passes.length}`);
+    log.debug(`   ⚠️  Violations: ${scanResults.violations.length}`);
+    log.debug(`   ⚠️  Incomplete: ${scanResults.incomplete.length}`);
+    log.debug(`   ℹ️  Inapplicable: ${scanResults.inapplicable.length}`);
+    if (scan.suppressed.length > 0) {
+      log.info(`   🔕 Suppressed: ${scan.suppressed.reduce((sum, s) => sum + s.nodes.length, 0)} node(s) in ${scan.suppressed.length} rule(s)`);
+    }
+  };
 
-    // Check for links without text (the main issue from screenshots)
-    const linksWithoutText = await page.locator('a[href]:not([aria-label]):not([title])').evaluateAll(links => {
-      return links.filter(link => {
-        const text = link.textContent?.trim();
-        const ariaLabel = link.getAttribute('aria-label');
-        const title = link.getAttribute('title');
-        const hasImage = link.querySelector('img[alt]');
-        return !text && !ariaLabel && !title && !hasImage;
-      }).length;
+  // Perform custom actions if defined
+  const actions = Array.isArray(scenario?.actions) ? scenario.actions : [];
+  if (actions.length > 0) {
+    log.info(`   Executing ${actions.length} custom action(s)...`);
+    await runActions(page, actions, {
+      baseUrl: fullUrl || config.baseUrl || page.url(),
+      onScan: action => scanCheckpoint(action.name || `Checkpoint ${checkpoints.length + 1}`),
     });
-    console.log(`   🔗 Links without accessible text found: ${linksWithoutText}`);
+  }
+
+  // Get page info for debugging
+  const pageTitle = await page.title();
+  log.debug(`   📋 Page title: ${pageTitle}`);
 
-    // Check for list structure issues
-    const listIssues = await page.locator('ul, ol').evaluateAll(lists => {
-      return lists.filter(list => {
-        const children = Array.from(list.children);
-        return children.some(child =>
-          !['LI', 'SCRIPT', 'TEMPLATE'].includes(child.tagName)
-        );
-      }).length;
+  // Final scan, unless the last action already scanned the final state
+  const lastAction = actions[actions.length - 1];
+  if (checkpoints.length === 0 || lastAction?.type !== 'scan') {
+    await scanCheckpoint(checkpoints.length > 0 ? 'Final' : null);
+  }
+
+  // Violations from all checkpoints count towards the scenario
+  let { results, suppressed } = mergeCheckpoints(checkpoints);
+  const ruleset = checkpoints[0].ruleset;
+
+  // Show incomplete checks (these might need manual review)
+  if (results.incomplete.length > 0) {
+    log.debug(`\n   🔍 Incomplete checks (require manual review):`);
+    results.incomplete.forEach((item, index) => {
+      log.debug(`      ${index + 1}. ${item.id}: ${item.description}`);
+      log.debug(`         Nodes: ${item.nodes.length}`);
     });
-    console.log(`   📋 Lists with improper structure found: ${listIssues}`);
+  }
 
-    // Run ALL axe-core rules (not just WCAG tags)
-    // This includes best-practices and experimental rules
-    const axeBuilder = new AxeBuilder({ page }).withTags(['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice', 'experimental']);
+  // Optionally treat incomplete as violations
+  let allViolations = results.violations;
+  if (config.treatIncompleteAsViolations && results.incomplete.length > 0) {
+    log.info(`\n   ⚠️  Treating ${results.incomplete.length} incomplete checks as violations`);
+    allViolations = [...results.violations, ...results.incomplete];
+  }
 
-    // Add exclusions
-    if (config.exclude && config.exclude.length > 0) {
-      config.exclude.forEach(selector => {
-        axeBuilder.exclude(selector);
-      });
+  // Keyboard audit findings count like axe violations (after suppressions)
+  let keyboard = null;
+  let keyboardSuppressed = [];
+  if (keyboardOptions) {
+    log.info(`   ⌨️  Running keyboard audit...`);
+    keyboard = await auditKeyboard(page, keyboardOptions);
+    const targetMatches = await matchSuppressionTargets(page, ignoreList, keyboard.findings);
+    const filtered = applySuppressions({ violations: keyboard.findings, incomplete: [] }, ignoreList, page.url(), targetMatches);
+    keyboard.findings = filtered.results.violations;
+    keyboardSuppressed = filtered.suppressed;
+    // In results.violations too, so every reporter sees the same failures
+    results = { ...results, violations: [...results.violations, ...keyboard.findings] };
+    allViolations = [...allViolations, ...keyboard.findings];
+    log.info(`   ⌨️  Keyboard: ${describeKeyboard(keyboard)}`);
+  }
+
+  const counts = {
+    violations: allViolations.length,
+    critical: allViolations.filter(v => v.impact === 'critical').length,
+    serious: allViolations.filter(v => v.impact === 'serious').length,
+    moderate: allViolations.filter(v => v.impact === 'moderate').length,
+    minor: allViolations.filter(v => v.impact === 'minor').length,
+    incomplete: config.treatIncompleteAsViolations ? results.incomplete.length : 0,
+  };
+  const failing = allViolations.filter(v => meetsFailThreshold(v.impact, config.failOn));
+  counts.failing = failing.length;
+
+  // Log violations summary
+  if (allViolations.length > 0) {
+    log.info(`\n   ⚠️  Found ${allViolations.length} accessibility violations:`);
+    log.info(`      Critical: ${counts.critical}`);
+    log.info(`      Serious: ${counts.serious}`);
+    log.info(`      Moderate: ${counts.moderate}`);
+    log.info(`      Minor: ${counts.minor}`);
+    if (counts.incomplete > 0) {
+      log.info(`      Incomplete (treated as violations): ${counts.incomplete}`);
     }
 
-    const results = await axeBuilder.analyze();
-
-    // Debug output
-    console.log(`   ✅ Scan complete`);
-    console.log(`   🔍 Axe version: ${results.testEngine.version}`);
-    console.log(`   📊 Rules run: ${results.passes.length + results.violations.length + results.incomplete.length + results.inapplicable.length}`);
-    console.log(`   ✅ Passed: ${results.passes.length}`);
-    console.log(`   ⚠️  Violations: ${results.violations.length}`);
-    console.log(`   ⚠️  Incomplete: ${results.incomplete.length}`);
-    console.log(`   ℹ️  Inapplicable: ${results.inapplicable.length}`);
-
-    // Debug: Check why link-name might be inapplicable
-    const linkNameInApplicable = results.inapplicable.find(r => r.id === 'link-name');
-    if (linkNameInApplicable && linksWithoutText > 0) {
-      console.log(`\n   🔍 DEBUG: link-name is inapplicable but we found ${linksWithoutText} links without text`);
-      console.log(`      This might mean the links have aria-label or other attributes axe accepts`);
-      console.log(`      Checking first few links manually...`);
-
-      const problematicLinks = await page.locator('a[href]').evaluateAll(links => {
-        return links.slice(0, 10).map(link => ({
-          href: link.getAttribute('href'),
-          text: link.textContent?.trim(),
-          ariaLabel: link.getAttribute('aria-label'),
-          title: link.getAttribute('title'),
-          hasImgWithAlt: !!link.querySelector('img[alt]'),
-          innerHTML: link.innerHTML.substring(0, 100)
-        }));
-      });
+    log.info(`\n   📋 Violation Details:`);
+    allViolations.forEach((violation, index) => {
+      const emoji = violation.impact === 'critical' ? '🔴' :
+                   violation.impact === 'serious' ? '🟠' :
+                   violation.impact === 'moderate' ? '🟡' : '⚪';
+      log.info(`\n   ${emoji} ${index + 1}. [${violation.impact.toUpperCase()}] ${violation.id}`);
+      log.info(`      ${violation.description}`);
+      log.info(`      Nodes affected: ${violation.nodes.length}`);
+      log.info(`      Help: ${violation.helpUrl}`);
+    });
+  } else {
+    log.info(`\n   ✅ No accessibility violations found!`);
+  }
+
+  return {
+    url: page.url(),
+    scenarioUrl: fullUrl || page.url(),
+    title: pageTitle,
+    axeVersion: results.testEngine.version,
+    failOn: config.failOn,
+    ruleset,
+    overlay,
+    readiness,
+    keyboard,
+    results,
+    violations: allViolations,
+    failing,
+    incomplete: results.incomplete,
+    passes: results.passes,
+    suppressed: [...suppressed, ...keyboardSuppressed],
+    checkpoints,
+    counts,
+    plugins: plugins.flatMap(plugin => plugin.ruleIds).map(id => ({
+      id,
+      nodes: allViolations.find(v => v.id === id)?.nodes.length || 0,
+    })),
+  };
+}
+
+// Screenshot options ("screenshots" in the config): numbered outlines around
+// violating nodes on the full-page screenshot, and optional element crops
+const defaultScreenshots = { annotate: true, elements: false, maxNodes: 100 };
+
+function resolveScreenshots(config) {
+  const screenshots = { ...defaultScreenshots, ...(config.screenshots || {}) };
+  if (config.elementScreenshots) {
+    screenshots.elements = true;
+  }
+  return screenshots;
+}
+
+const impactColors = { critical: '#d32f2f', serious: '#f57c00', moderate: '#fbc02d', minor: '#757575' };
+
+// Playwright locator for an axe node target: one selector per frame, and
+// arrays of selectors for elements inside shadow DOM
+function locatorForTarget(page, target) {
+  const selectors = [].concat(target || []);
+  let scope = page;
+  selectors.slice(0, -1).forEach(frame => {
+    scope = [].concat(frame).reduce((s, selector) => s.locator(selector), scope).contentFrame();
+  });
+  return [].concat(selectors[selectors.length - 1] || 'html').reduce((s, selector) => s.locator(selector), scope).first();
+}
+
+// Key of a violation node, shared by the report generators
+function screenshotNodeKey(ruleId, node) {
+  return `${ruleId} ${JSON.stringify(node.target || [])}`;
+}
 
-      console.log(`      Sample links:`, JSON.stringify(problematicLinks.slice(0, 3), null, 2));
+// Number every violating node (up to maxNodes), crop each one if asked, then
+// outline them all on a full-page screenshot. Returns the node list with
+// paths relative to the reports directory.
+async function captureScreenshots(page, violations, options, reportsDir, baseName) {
+  const nodes = violations
+    .flatMap(violation => violation.nodes.map(node => ({ rule: violation.id, impact: node.impact || violation.impact, target: node.target })))
+    .slice(0, options.maxNodes)
+    .map((node, index) => ({ number: index + 1, ...node, crop: null, found: false }));
+
+  const boxes = [];
+  for (const node of nodes) {
+    const locator = locatorForTarget(page, node.target);
+    const box = await locator.boundingBox({ timeout: 1000 }).catch(() => null);
+    node.found = !!box && box.width > 0 && box.height > 0;
+    if (node.found) {
+      boxes.push({ number: node.number, color: impactColors[node.impact] || impactColors.minor, ...box });
+    }
+    if (options.elements && node.found) {
+      const crop = `${baseName}-elements/${node.number}.png`;
+      fs.mkdirSync(path.join(reportsDir, `${baseName}-elements`), { recursive: true });
+      try {
+        await locator.screenshot({ path: path.join(reportsDir, crop), timeout: 2000 });
+        node.crop = crop;
+      } catch (error) {
+        log.debug(`   📸 Could not crop #${node.number} (${node.rule}): ${error.message}`);
+      }
     }
+  }
 
-    // Show incomplete checks (these might need manual review)
-    if (results.incomplete.length > 0) {
-      console.log(`\n   🔍 Incomplete checks (require manual review):`);
-      results.incomplete.forEach((item, index) => {
-        console.log(`      ${index + 1}. ${item.id}: ${item.description}`);
-        console.log(`         Nodes: ${item.nodes.length}`);
+  // Outlines go in an overlay on the root element, in document coordinates
+  if (options.annotate && boxes.length > 0) {
+    await page.evaluate(list => {
+      const overlay = document.createElement('div');
+      overlay.setAttribute('data-a11y-annotations', '');
+      overlay.style.cssText = 'position:absolute;top:0;left:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+      list.forEach(box => {
+        const outline = document.createElement('div');
+        outline.style.cssText = `position:absolute;box-sizing:border-box;border:3px solid ${box.color};`
+          + `left:${box.x + window.scrollX - 3}px;top:${box.y + window.scrollY - 3}px;width:${box.width + 6}px;height:${box.height + 6}px;`;
+        const label = document.createElement('span');
+        label.textContent = box.number;
+        label.style.cssText = `position:absolute;top:-3px;left:-3px;transform:translateY(-100%);background:${box.color};color:#fff;`
+          + 'font:bold 12px/16px sans-serif;padding:0 4px;border-radius:3px 3px 0 0;';
+        outline.appendChild(label);
+        overlay.appendChild(outline);
       });
+      document.documentElement.appendChild(overlay);
+    }, boxes);
+  }
+  const file = `${baseName}.png`;
+  try {
+    await page.screenshot({ path: path.join(reportsDir, file), fullPage: true });
+  } finally {
+    if (options.annotate && boxes.length > 0) {
+      await page.evaluate(() => document.querySelector('[data-a11y-annotations]')?.remove());
     }
+  }
 
-    // Optionally treat incomplete as violations (BEFORE generating reports)
-    let allViolations = results.violations;
-    if (config.treatIncompleteAsViolations && results.incomplete.length > 0) {
-      console.log(`\n   ⚠️  Treating ${results.incomplete.length} incomplete checks as violations`);
-      allViolations = [...results.violations, ...results.incomplete];
-    }
+  return { file, annotated: options.annotate && boxes.length > 0, nodes };
+}
 
-    // Create reports directory
-    const reportsDir = path.resolve(config.outputDir);
-    if (!fs.existsSync(reportsDir)) {
-      fs.mkdirSync(reportsDir, { recursive: true });
-    }
+const allReporters = ['json', 'html', 'markdown', 'screenshot'];
+
+// Reporters to write: config.reporters (array, comma-separated string or
+// "none"); the CLI and testUrl() write all of them by default
+function resolveReporters(config) {
+  if (config.reporters === undefined || config.reporters === null) {
+    return allReporters;
+  }
+  const reporters = (Array.isArray(config.reporters) ? config.reporters : String(config.reporters).split(','))
+    .map(name => String(name).trim())
+    .filter(name => name && name !== 'none');
+  const unknown = reporters.filter(name => !allReporters.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown reporter(s): ${unknown.join(', ')} (use ${allReporters.join(', ')} or none)`);
+  }
+  return reporters;
+}
 
-    // Generate filename-safe name
-    const safeName = (testName || 'test')
-      .toLowerCase()
-      .replace(/\s+/g, '-')
-      .replace(/[^a-z0-9-]/g, '');
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const reportBaseName = `${safeName}-${config.browser}-${timestamp}`;
+// Write the per-page reports for a scan() result to config.outputDir.
+// Returns the paths of the files written, keyed by reporter. Progress goes
+// to config.logger, or the active logger.
+async function writeReports(page, scanResult, config, testName) {
+  if (config.logger) {
+    const { logger, ...rest } = config;
+    return withLogger(logger, () => writeReports(page, scanResult, rest, testName));
+  }
+  const reporters = resolveReporters(config);
+  const reports = {};
+  if (reporters.length === 0) {
+    return reports;
+  }
+
+  const { results, suppressed, checkpoints, ruleset, overlay, readiness, keyboard } = scanResult;
+  const allViolations = scanResult.violations;
+
+  // Create reports directory
+  const reportsDir = path.resolve(config.outputDir);
+  if (!fs.existsSync(reportsDir)) {
+    fs.mkdirSync(reportsDir, { recursive: true });
+  }
+
+  // Generate filename-safe name
+  const safeName = slugify(testName || 'test');
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const viewportSuffix = config.viewport ? `-${slugify(config.viewport.name)}` : '';
+  const reportBaseName = `${safeName}-${config.browser}${viewportSuffix}-${timestamp}`;
+
+  // Screenshot first, so the other reports can show and link to it
+  let screenshots = null;
+  if (reporters.includes('screenshot') && page) {
+    screenshots = await captureScreenshots(page, allViolations, resolveScreenshots(config), reportsDir, reportBaseName);
+    reports.screenshot = path.join(reportsDir, screenshots.file);
+    log.info(`   📸 Screenshot: ${reports.screenshot}${screenshots.annotated ? ` (${screenshots.nodes.filter(n => n.found).length} element(s) outlined)` : ''}`);
+    const crops = screenshots.nodes.filter(n => n.crop).length;
+    if (crops > 0) {
+      log.info(`   📸 Element screenshots: ${crops} in ${path.join(reportsDir, `${reportBaseName}-elements`)}`);
+    }
+  }
 
-    // Save JSON report (include both original and modified results)
+  // Save JSON report (include both original and modified results)
+  if (reporters.includes('json')) {
     const jsonReportPath = path.join(reportsDir, `${reportBaseName}.json`);
     const reportData = {
       ...results,
       _meta: {
+        testName,
+        scenarioUrl: scanResult.scenarioUrl,
+        browser: config.browser,
+        viewport: config.viewport ? viewportMeta(config.viewport) : null,
+        ruleset,
+        overlay,
+        readiness,
+        keyboard,
+        screenshots,
+        suppressed: suppressed.map(s => ({
+          id: s.id,
+          type: s.type,
+          impact: s.impact,
+          nodes: s.nodes.map(node => node.target),
+          suppression: s.suppression,
+        })),
+        checkpoints: checkpoints.length > 1
+          ? checkpoints.map(checkpoint => ({
+            name: checkpoint.name,
+            url: checkpoint.url,
+            violations: checkpoint.results.violations.map(v => ({ id: v.id, impact: v.impact, nodes: v.nodes.map(n => n.target) })),
+            incomplete: checkpoint.results.incomplete.map(v => ({ id: v.id, impact: v.impact, nodes: v.nodes.map(n => n.target) })),
+          }))
+          : [],
         treatIncompleteAsViolations: config.treatIncompleteAsViolations,
         allViolations: allViolations.length,
-        manualChecks: {
-          linksWithoutText,
-          listIssues
-        }
+        plugins: scanResult.plugins
       }
     };
     fs.writeFileSync(
@@ -714,250 +5312,942 @@ async function testUrl(context, url, config, scenario = null, isAuthenticated =
       JSON.stringify(reportData, null, 2),
       'utf8'
     );
-    console.log(`   📄 JSON report: ${jsonReportPath}`);
+    reports.json = jsonReportPath;
+    log.info(`   📄 JSON report: ${jsonReportPath}`);
+  }
 
-    // Save HTML report (use allViolations instead of results.violations)
-    const modifiedResults = {
-      ...results,
-      violations: allViolations
-    };
+  // HTML and Markdown reports use allViolations instead of results.violations
+  const modifiedResults = {
+    ...results,
+    violations: allViolations,
+    suppressed,
+    checkpoints: checkpoints.length > 1
+      ? checkpoints.map(checkpoint => ({
+        name: checkpoint.name,
+        url: checkpoint.url,
+        violations: config.treatIncompleteAsViolations
+          ? [...checkpoint.results.violations, ...checkpoint.results.incomplete]
+          : checkpoint.results.violations,
+      }))
+      : []
+  };
+
+  if (reporters.includes('html')) {
     const htmlReport = generateHTMLReport(
       modifiedResults,
       testName,
-      page.url(),
-      config.name || 'Accessibility Test'
+      scanResult.url,
+      config.name || 'Accessibility Test',
+      { viewport: config.viewport, overlay, readiness, keyboard, screenshots }
     );
     const htmlReportPath = path.join(reportsDir, `${reportBaseName}.html`);
     fs.writeFileSync(htmlReportPath, htmlReport, 'utf8');
-    console.log(`   📄 HTML report: ${htmlReportPath}`);
+    reports.html = htmlReportPath;
+    log.info(`   📄 HTML report: ${htmlReportPath}`);
+  }
 
-    // Save Markdown report (for Confluence)
+  // Save Markdown report (for Confluence)
+  if (reporters.includes('markdown')) {
     const markdownReport = generateMarkdownReport(
       modifiedResults,
       testName,
-      page.url(),
-      config.name || 'Accessibility Test'
+      scanResult.url,
+      config.name || 'Accessibility Test',
+      { viewport: config.viewport, overlay, readiness, keyboard, screenshots }
     );
     const markdownReportPath = path.join(reportsDir, `${reportBaseName}.md`);
     fs.writeFileSync(markdownReportPath, markdownReport, 'utf8');
-    console.log(`   📝 Markdown report: ${markdownReportPath}`);
-
-    // Take screenshot
-    const screenshotPath = path.join(reportsDir, `${reportBaseName}.png`);
-    await page.screenshot({ path: screenshotPath, fullPage: true });
-    console.log(`   📸 Screenshot: ${screenshotPath}`);
-
-    // Count violations by severity (already calculated above with allViolations)
-    const violationsBySeverity = {
-      critical: allViolations.filter(v => v.impact === 'critical').length,
-      serious: allViolations.filter(v => v.impact === 'serious').length,
-      moderate: allViolations.filter(v => v.impact === 'moderate').length,
-      minor: allViolations.filter(v => v.impact === 'minor').length,
-      incomplete: config.treatIncompleteAsViolations ? results.incomplete.length : 0,
-    };
+    reports.markdown = markdownReportPath;
+    log.info(`   📝 Markdown report: ${markdownReportPath}`);
+  }
 
-    // Log violations summary
-    if (allViolations.length > 0) {
-      console.log(`\n   ⚠️  Found ${allViolations.length} accessibility violations:`);
-      console.log(`      Critical: ${violationsBySeverity.critical}`);
-      console.log(`      Serious: ${violationsBySeverity.serious}`);
-      console.log(`      Moderate: ${violationsBySeverity.moderate}`);
-      console.log(`      Minor: ${violationsBySeverity.minor}`);
-      if (violationsBySeverity.incomplete > 0) {
-        console.log(`      Incomplete (treated as violations): ${violationsBySeverity.incomplete}`);
-      }
-
-      console.log(`\n   📋 Violation Details:`);
-      allViolations.forEach((violation, index) => {
-        const emoji = violation.impact === 'critical' ? '🔴' :
-                     violation.impact === 'serious' ? '🟠' :
-                     violation.impact === 'moderate' ? '🟡' : '⚪';
-        console.log(`\n   ${emoji} ${index + 1}. [${violation.impact.toUpperCase()}] ${violation.id}`);
-        console.log(`      ${violation.description}`);
-        console.log(`      Nodes affected: ${violation.nodes.length}`);
-        console.log(`      Help: ${violation.helpUrl}`);
-      });
-    } else {
-      console.log(`\n   ✅ No accessibility violations found!`);
-    }
+  return reports;
+}
 
-    // Determine if test should fail based on failOn setting
-    const severityLevels = ['minor', 'moderate', 'serious', 'critical'];
-    const failOnIndex = config.failOn === 'all' ? 0 : severityLevels.indexOf(config.failOn);
+// Test one URL or scenario in a new page: scan it, write the configured
+// reports and return the per-scenario summary used by the CLI
+async function testUrl(context, url, config, scenario = null) {
+  const page = await context.newPage();
+  const testName = scenario?.name || config.name || 'Accessibility Test';
+  const fullUrl = scenario ? (scenario.url || `${config.baseUrl || config.url}${scenario.path}`) : url;
 
-    let failingViolations = 0;
-    if (config.failOn === 'all') {
-      failingViolations = allViolations.length;
-    } else {
-      failingViolations = allViolations.filter(v => {
-        const vIndex = severityLevels.indexOf(v.impact);
-        return vIndex >= failOnIndex;
-      }).length;
+  try {
+    log.info(`\n🔍 Testing: ${testName}`);
+    log.info(`   URL: ${fullUrl}`);
+    if (config.viewport) {
+      log.info(`   Viewport: ${config.viewport.name} (${config.viewport.width}×${config.viewport.height})`);
     }
 
+    const scanResult = await scanPage(page, config, scenario, fullUrl);
+    const reports = await writeReports(page, scanResult, config, testName);
+    const { results, suppressed, counts } = scanResult;
+    const allViolations = scanResult.violations;
+
     return {
-      success: failingViolations === 0,
-      violations: allViolations.length,
-      critical: violationsBySeverity.critical,
-      serious: violationsBySeverity.serious,
-      moderate: violationsBySeverity.moderate,
-      minor: violationsBySeverity.minor,
-      incomplete: violationsBySeverity.incomplete,
-      failingViolations: failingViolations,
+      success: counts.failing === 0,
+      violations: counts.violations,
+      critical: counts.critical,
+      serious: counts.serious,
+      moderate: counts.moderate,
+      minor: counts.minor,
+      incomplete: counts.incomplete,
+      failingViolations: counts.failing,
+      ruleIds: [...new Set(allViolations.map(v => v.id))],
+      rules: allViolations.map(v => ({
+        id: v.id,
+        impact: v.impact,
+        help: v.help,
+        helpUrl: v.helpUrl,
+        tags: v.tags,
+        nodes: v.nodes.length,
+      })),
+      axeVersion: scanResult.axeVersion,
+      findings: {
+        violations: results.violations.map(compactRule),
+        incomplete: results.incomplete.map(compactRule),
+        passes: results.passes.map(rule => ({ id: rule.id, help: rule.help, tags: rule.tags })),
+        suppressed: suppressed.map(rule => ({ ...compactRule(rule), type: rule.type, suppression: rule.suppression })),
+      },
+      suppressed: suppressed.reduce((sum, s) => sum + s.nodes.length, 0),
+      reports,
+      baselineEntries: collectBaselineEntries(allViolations, fullUrl),
+      readyMs: scanResult.readiness.waitedMs,
       url: fullUrl,
       testName,
+      browser: config.browser,
+      viewport: config.viewport?.name || null,
     };
   } catch (error) {
-    console.error(`   ❌ Test failed: ${error.message}`);
+    log.error(`   ❌ Test failed: ${error.message}`);
     return {
       success: false,
       error: error.message,
-      url: url,
-      testName: scenario?.name || config.name || 'Test',
+      url: fullUrl,
+      testName,
+      browser: config.browser,
+      viewport: config.viewport?.name || null,
     };
   } finally {
     await page.close();
   }
 }
 
-// Main execution
-async function main() {
-  const config = parseArgs();
+const browserTypes = { chromium, firefox, webkit };
 
-  // Load config file if provided
-  if (config.configFile) {
-    try {
-      const configPath = path.resolve(config.configFile);
-      const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-
-      // Merge file config with CLI args (CLI takes precedence)
-      Object.keys(fileConfig).forEach(key => {
-        if (config[key] === null || config[key] === undefined ||
-            (Array.isArray(config[key]) && config[key].length === 0)) {
-          config[key] = fileConfig[key];
-        }
-      });
-    } catch (error) {
-      console.error(`❌ Failed to load config file: ${error.message}`);
-      process.exit(1);
-    }
-  }
+// List of browsers to run; a --browser value wins over "browsers" in the config
+function resolveBrowsers(config) {
+  const list = config.browsers && config.browsers.length > 0 ? config.browsers : [config.browser];
+  const names = (Array.isArray(list) ? list : String(list).split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(names)];
+}
 
-  // Validate configuration
-  if (!config.url && !config.baseUrl && !config.scenarios) {
-    console.error('❌ Error: --url or --config with scenarios is required');
-    printHelp();
-    process.exit(1);
+// Resolved viewports for a scenario: its own "viewports", else the global
+// ones, else [null] for the browser's default viewport
+function viewportsFor(scenario, config) {
+  const specs = scenario?.viewports || config.viewports;
+  if (!specs || specs.length === 0) {
+    return [null];
   }
+  return specs.map(resolveViewport);
+}
 
-  console.log('🚀 Starting Accessibility Tests');
-  console.log(`   Browser: ${config.browser}`);
-  console.log(`   Headless: ${config.headless}`);
-  console.log(`   Output: ${config.outputDir}`);
-  if (config.exclude.length > 0) {
-    console.log(`   Excluding: ${config.exclude.join(', ')}`);
-  }
+// Configured scenarios plus any pages found by the crawler
+async function resolveScenarios(context, config) {
+  const scenarios = [...(config.scenarios || [])];
 
-  // Launch browser
-  let browserType;
-  switch (config.browser) {
-    case 'firefox':
-      browserType = firefox;
-      break;
-    case 'webkit':
-      browserType = webkit;
-      break;
-    default:
-      browserType = chromium;
+  // Crawl mode: add discovered pages as scenarios (configured ones win on duplicate paths)
+  const crawlConfig = config.crawl && typeof config.crawl === 'object' ? { ...config.crawl } : {};
+  if (config.crawlEnabled || (config.crawl && crawlConfig.enabled !== false)) {
+    if (config.crawlDepth !== null) {
+      crawlConfig.maxDepth = config.crawlDepth;
+    }
+    if (config.crawlMaxPages !== null) {
+      crawlConfig.maxPages = config.crawlMaxPages;
+    }
+    if (crawlConfig.timeout === undefined && config.navigationTimeout) {
+      crawlConfig.timeout = config.navigationTimeout;
+    }
+    const crawled = await crawlSite(context, config.baseUrl || config.url, crawlConfig);
+    const knownPaths = new Set(scenarios.map(s => s.path));
+    crawled
+      .filter(s => !knownPaths.has(s.path))
+      .forEach(s => scenarios.push(s));
   }
 
-  const browser = await browserType.launch({ headless: config.headless });
+  return scenarios;
+}
+
+// Launch one browser engine and test every scenario in it
+async function runBrowser(browserName, config, state) {
+  const browser = await browserTypes[browserName].launch({ headless: config.headless });
 
   try {
     // Create a single browser context for all tests
+    const strategies = authStrategies(config);
+    const authOptions = authContextOptions(strategies);
     const context = await browser.newContext({
       ignoreHTTPSErrors: true,
+      ...authOptions,
     });
+    context.setDefaultNavigationTimeout(config.navigationTimeout || defaultNavigationTimeout);
 
     try {
-      // Handle password authentication once at the beginning
-      let isAuthenticated = false;
-      if (config.password) {
-        console.log('\n🔐 Authenticating...');
-        const authPage = await context.newPage();
-        const authUrl = config.baseUrl || config.url;
-        await navigateWithPassword(authPage, authUrl, config.password);
-        await authPage.close();
-        isAuthenticated = true;
-        console.log('✅ Authentication successful - session will be reused for all tests\n');
+      // Handle authentication once at the beginning
+      if (strategies.length > 0) {
+        log.info('\n🔐 Authenticating...');
+        try {
+          await authenticate(context, strategies, config.baseUrl || config.url);
+        } catch (error) {
+          throw new Error(`Authentication failed: ${error.message}`);
+        }
+        log.info('✅ Authentication complete - session will be reused for all tests\n');
+      }
+
+      if (!state.scenarios) {
+        state.scenarios = await resolveScenarios(context, config);
       }
+      const scenarios = state.scenarios;
+
+      // Emulated viewports get their own context, seeded with the session of
+      // the main context so authentication carries over
+      const viewportContexts = new Map();
+      const contextFor = viewport => {
+        if (!viewport) {
+          return Promise.resolve(context);
+        }
+        if (!viewportContexts.has(viewport.name)) {
+          viewportContexts.set(viewport.name, context.storageState().then(async storageState => {
+            const viewportContext = await browser.newContext({
+              ignoreHTTPSErrors: true,
+              ...authOptions,
+              ...viewport.contextOptions,
+              storageState,
+            });
+            viewportContext.setDefaultNavigationTimeout(config.navigationTimeout || defaultNavigationTimeout);
+            return viewportContext;
+          }));
+        }
+        return viewportContexts.get(viewport.name);
+      };
 
-      const results = [];
+      // One run per scenario and viewport (a single URL counts as one scenario)
+      const runs = (scenarios.length > 0 ? scenarios : [null]).flatMap(scenario =>
+        viewportsFor(scenario, config).map(viewport => ({ scenario, viewport }))
+      );
 
-      // Test scenarios or single URL
-      if (config.scenarios && config.scenarios.length > 0) {
-        console.log(`📋 Testing ${config.scenarios.length} scenario(s)...\n`);
-        for (const scenario of config.scenarios) {
-          const result = await testUrl(context, null, config, scenario, isAuthenticated);
-          results.push(result);
+      try {
+        const concurrency = config.concurrency || 1;
+        if (scenarios.length > 0) {
+          const viewportNote = runs.length > scenarios.length ? ` (${runs.length} runs across viewports)` : '';
+          log.info(`📋 Testing ${scenarios.length} scenario(s)${viewportNote}${concurrency > 1 ? ` with concurrency ${concurrency}` : ''}...\n`);
+        }
+        // All pages of a viewport share one context, so the password session is reused
+        return await runWithConcurrency(runs, concurrency, async ({ scenario, viewport }) => {
+          let runContext;
+          try {
+            runContext = await contextFor(viewport);
+          } catch (error) {
+            log.error(`   ❌ Could not emulate viewport ${viewport.name} in ${config.browser}: ${error.message}`);
+            return {
+              success: false,
+              error: error.message,
+              url: scenario ? scenario.url || `${config.baseUrl || config.url}${scenario.path}` : config.url,
+              testName: scenario?.name || config.name || 'Test',
+              browser: config.browser,
+              viewport: viewport.name,
+            };
+          }
+          return testUrl(runContext, scenario ? null : config.url, { ...config, viewport }, scenario);
+        });
+      } finally {
+        for (const pending of viewportContexts.values()) {
+          await pending.then(viewportContext => viewportContext.close(), () => {});
         }
-      } else {
-        const result = await testUrl(context, config.url, config, null, isAuthenticated);
-        results.push(result);
-      }
-
-    // Print summary
-    console.log('\n' + '='.repeat(60));
-    console.log('📊 Test Summary');
-    console.log('='.repeat(60));
-
-    const passed = results.filter(r => r.success).length;
-    const failed = results.filter(r => !r.success).length;
-    const totalViolations = results.reduce((sum, r) => sum + (r.violations || 0), 0);
-    const totalCritical = results.reduce((sum, r) => sum + (r.critical || 0), 0);
-    const totalSerious = results.reduce((sum, r) => sum + (r.serious || 0), 0);
-    const totalModerate = results.reduce((sum, r) => sum + (r.moderate || 0), 0);
-    const totalMinor = results.reduce((sum, r) => sum + (r.minor || 0), 0);
-    const totalFailing = results.reduce((sum, r) => sum + (r.failingViolations || 0), 0);
-
-    console.log(`Total Tests: ${results.length}`);
-    console.log(`Passed: ${passed} ✅`);
-    console.log(`Failed: ${failed} ❌`);
-    console.log(`\nViolations by Severity:`);
-    console.log(`  🔴 Critical: ${totalCritical}`);
-    console.log(`  🟠 Serious: ${totalSerious}`);
-    console.log(`  🟡 Moderate: ${totalModerate}`);
-    console.log(`  ⚪ Minor: ${totalMinor}`);
-    console.log(`  📊 Total: ${totalViolations}`);
-    console.log(`\nFail Threshold: ${config.failOn} and above`);
-    console.log(`Violations Meeting Threshold: ${totalFailing}`);
-    console.log('='.repeat(60));
-
-      // Exit with error code if any violations meet the fail threshold
-      if (totalFailing > 0) {
-        console.log(`\n❌ Tests failed: ${totalFailing} violations at ${config.failOn} level or above`);
-        process.exit(1);
-      } else {
-        console.log('\n✅ All tests passed!');
-        process.exit(0);
       }
     } finally {
       await context.close();
     }
-  } catch (error) {
-    console.error(`\n❌ Fatal error: ${error.message}`);
-    process.exit(1);
   } finally {
     await browser.close();
   }
 }
 
+// Scenario name plus viewport, used to tell runs of the same scenario apart
+function resultLabel(result) {
+  return result.viewport ? `${result.testName} @ ${result.viewport}` : result.testName;
+}
+
+// Compare results across engines and point out rules that fail on only one
+function printBrowserComparison(results, browsers) {
+  log.info('\n🌐 Cross-Browser Comparison');
+  log.info('='.repeat(60));
+
+  browsers.forEach(browserName => {
+    const browserResults = results.filter(r => r.browser === browserName);
+    const failedCount = browserResults.filter(r => !r.success).length;
+    const violationCount = browserResults.reduce((sum, r) => sum + (r.violations || 0), 0);
+    const failingCount = browserResults.reduce((sum, r) => sum + (r.failingViolations || 0), 0);
+    log.info(`  ${browserName.padEnd(10)} Failed: ${failedCount}/${browserResults.length}  Violations: ${violationCount}  Meeting threshold: ${failingCount}`);
+  });
+
+  // Group rule ids per scenario/viewport and engine (errored runs can't be compared)
+  const byScenario = new Map();
+  results.filter(r => !r.error).forEach(r => {
+    const label = resultLabel(r);
+    if (!byScenario.has(label)) {
+      byScenario.set(label, new Map());
+    }
+    byScenario.get(label).set(r.browser, new Set(r.ruleIds));
+  });
+
+  const engineSpecific = [];
+  byScenario.forEach((ruleIdsByBrowser, testName) => {
+    if (ruleIdsByBrowser.size < 2) {
+      return;
+    }
+    const allRuleIds = new Set([...ruleIdsByBrowser.values()].flatMap(ids => [...ids]));
+    allRuleIds.forEach(ruleId => {
+      const failingIn = [...ruleIdsByBrowser.keys()].filter(b => ruleIdsByBrowser.get(b).has(ruleId));
+      if (failingIn.length === 1) {
+        engineSpecific.push({ testName, ruleId, browser: failingIn[0] });
+      }
+    });
+  });
+
+  if (engineSpecific.length > 0) {
+    log.info('\n  Rules failing on only one engine:');
+    engineSpecific.forEach(({ testName, ruleId, browser }) => {
+      log.info(`    • ${testName}: ${ruleId} (${browser} only)`);
+    });
+  } else {
+    log.info('\n  ✅ All engines report the same failing rules');
+  }
+  log.info('='.repeat(60));
+}
+
+// Scan a page and return structured results without writing reports or
+// exiting. With options.url the page is opened first (consent cookies,
+// readiness, overlay dismissal), and options.actions run before the final
+// scan. Other options take the same keys as the config file (failOn, tags,
+// rules, disableRules, exclude, ignore, treatIncompleteAsViolations, ...).
+// Progress goes to options.logger (see createLogger); silent by default.
+async function scan(page, options = {}) {
+  const { url = null, actions, logger = silentLogger, ...rest } = options;
+  const config = {
+    failOn: 'serious',
+    treatIncompleteAsViolations: false,
+    ...rest,
+    exclude: [].concat(rest.exclude || []),
+  };
+  const scenario = actions ? { actions } : null;
+  return withLogger(logger, async () => scanPage(page, { ...config, resolvedPlugins: await resolvePlugins(config) }, scenario, url));
+}
+
+// Readable failure message listing each failing rule and its nodes
+function formatAccessibilityFailure(result, isNot = false) {
+  const threshold = result.failOn === 'all' ? 'of any impact' : `with impact "${result.failOn}" or above`;
+  if (isNot) {
+    return [
+      'expect(page).not.toBeAccessible()',
+      '',
+      `Expected: at least one violation ${threshold}`,
+      `Received: none (${result.violations.length} below the threshold)`,
+      `URL: ${result.url}`,
+    ].join('\n');
+  }
+
+  const nodeCount = result.failing.reduce((sum, v) => sum + v.nodes.length, 0);
+  const lines = [
+    'expect(page).toBeAccessible()',
+    '',
+    `Expected: 0 violations ${threshold}`,
+    `Received: ${result.failing.length} violation(s) on ${nodeCount} node(s)`,
+    `URL: ${result.url}`,
+    '',
+  ];
+  result.failing.forEach(violation => {
+    lines.push(`- ${violation.id} [${violation.impact || 'unknown'}] ${violation.help}`);
+    lines.push(`  ${violation.helpUrl}`);
+    violation.nodes.forEach(node => {
+      lines.push(`  + ${node.target.join(' ')}`);
+      checkMessages(node).forEach(message => lines.push(`      ${message}`));
+    });
+  });
+  return lines.join('\n');
+}
+
+// Matchers for expect.extend() in Playwright Test, Jest and Vitest:
+//   expect.extend(a11yMatchers);
+//   await expect(page).toBeAccessible({ failOn: 'serious' });
+const a11yMatchers = {
+  async toBeAccessible(page, options = {}) {
+    const result = await scan(page, options);
+    const pass = result.failing.length === 0;
+    return {
+      pass,
+      message: () => formatAccessibilityFailure(result, pass),
+      name: 'toBeAccessible',
+      actual: result.failing.map(v => v.id),
+      expected: [],
+    };
+  },
+};
+
+// Synchronous loader for a11yTestCases(): a .json config with ${VAR}
+// interpolation, schema validation and A11Y_* environment variables. YAML,
+// JavaScript and "extends" need the asynchronous loadConfig().
+function loadJsonConfigSync(file, env = process.env) {
+  const hint = `pass the result of await loadConfig({ configFile: ${JSON.stringify(file)} }) instead`;
+  if (path.extname(file).toLowerCase() !== '.json') {
+    throw new Error(`a11yTestCases: only .json config files can be loaded directly; ${hint}`);
+  }
+  const configPath = path.resolve(file);
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (jsonType(config) !== 'object') {
+      throw new Error(`the config must be an object (got ${jsonType(config)})`);
+    }
+    config = interpolateEnv(config, env);
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+  validateConfig(config, file);
+  if (config.extends) {
+    throw new Error(`a11yTestCases: ${file} uses "extends"; ${hint}`);
+  }
+
+  const environment = envConfig(env);
+  Object.entries(environment).forEach(([key, value]) => validateConfig({ [key]: value }, envName(key)));
+  const { $schema, ...own } = config;
+  return { ...own, ...environment };
+}
+
+// Turn a config file (or object) into one test case per scenario. Each case
+// has a name, the URL, matcher options and prepare(page), which logs in,
+// opens the page and runs the scenario's actions (or leaves them to the
+// matcher when they contain "scan" checkpoints):
+//   for (const testCase of a11yTestCases('./a11y-config.json')) {
+//     test(testCase.name, async ({ page }) => {
+//       await testCase.prepare(page);
+//       await expect(page).toBeAccessible(testCase.options);
+//     });
+//   }
+function a11yTestCases(source, overrides = {}) {
+  const fileConfig = typeof source === 'string' ? loadJsonConfigSync(source) : source;
+  const config = { failOn: 'serious', exclude: [], ...fileConfig, ...overrides };
+  if (!config.url && !config.baseUrl) {
+    throw new Error('a11yTestCases: the config needs a url or baseUrl');
+  }
+
+  const strategies = authStrategies(config);
+  const authenticated = new WeakSet();
+  const scenarios = config.scenarios && config.scenarios.length > 0 ? config.scenarios : [null];
+
+  return scenarios.map(scenario => {
+    const url = scenario ? (scenario.url || `${config.baseUrl || config.url}${scenario.path}`) : config.url;
+    const { tags, rules } = resolveRuleset(config, scenario);
+    const actions = Array.isArray(scenario?.actions) ? scenario.actions : [];
+    // With "scan" checkpoints the matcher runs the actions, scanning at each
+    const checkpoints = actions.some(action => action.type === 'scan');
+    return {
+      name: scenario?.name || config.name || url,
+      url,
+      scenario,
+      options: {
+        failOn: config.failOn,
+        tags,
+        rules,
+        exclude: [].concat(config.exclude || []),
+        ignore: [...(config.ignore || []), ...(scenario?.ignore || [])],
+        treatIncompleteAsViolations: config.treatIncompleteAsViolations || false,
+        plugins: config.plugins || [],
+        keyboard: resolveKeyboard(config, scenario) || false,
+        ...(checkpoints ? { actions, baseUrl: config.baseUrl || config.url } : {}),
+      },
+      prepare: page => withLogger(silentLogger, async () => {
+        // Log in once per browser context
+        const context = page.context();
+        if (strategies.length > 0 && !authenticated.has(context)) {
+          await authenticate(context, strategies, config.baseUrl || config.url);
+          authenticated.add(context);
+        }
+        await openPage(page, url, config, scenario);
+        if (!checkpoints) {
+          await runActions(page, actions, {
+            baseUrl: config.baseUrl || config.url,
+            onScan: () => {},
+          });
+        }
+      }),
+    };
+  });
+}
+
+// Static mode: test local HTML files ("static" in the config, --dir/--file)
+const defaultStatic = { include: ['**/*.html', '**/*.htm'], exclude: ['node_modules/**'] };
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.vtt': 'text/vtt; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+};
+
+// Glob for relative file paths: "*" stays within a directory, "**/" spans any
+// number of them
+function pathGlobToRegExp(pattern) {
+  const source = pattern
+    .replace(/^\.\//, '')
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map(part => ({ '**/': '(?:.*/)?', '**': '.*', '*': '[^/]*', '?': '[^/]' })[part]
+      ?? part.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+// Static mode options, or null: the config's "static" object with --dir and
+// --file (staticDir, staticFiles) on top
+function resolveStaticSite(config) {
+  const site = { ...defaultStatic, ...(config.static || {}) };
+  if (config.staticDir) {
+    site.dir = config.staticDir;
+  }
+  if (config.staticFiles) {
+    site.files = config.staticFiles;
+  }
+  if (!site.dir && !site.files) {
+    return null;
+  }
+  if (site.dir && site.files) {
+    throw new Error('Use either a directory (--dir, static.dir) or files (--file, static.files), not both');
+  }
+  return site;
+}
+
+// HTML files to test, as paths relative to the root directory they are served from
+function findStaticFiles(site) {
+  const toPosix = file => file.split(path.sep).join('/');
+  const include = [].concat(site.include).map(pathGlobToRegExp);
+  const exclude = [].concat(site.exclude || []).map(pathGlobToRegExp);
+  const matches = file => include.some(re => re.test(file)) && !exclude.some(re => re.test(file));
+
+  if (site.dir) {
+    const root = path.resolve(site.dir);
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+      throw new Error(`Directory not found: ${site.dir}`);
+    }
+    const walk = dir => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const full = path.join(dir, entry.name);
+      return entry.isDirectory() ? walk(full) : [toPosix(path.relative(root, full))];
+    });
+    return { root, files: walk(root).filter(matches).sort() };
+  }
+
+  const files = [].concat(site.files).flatMap(file => String(file).split(',')).map(file => path.resolve(file.trim()));
+  files.forEach(file => {
+    if (!fs.existsSync(file)) {
+      throw new Error(`File not found: ${file}`);
+    }
+  });
+  // Serve from the closest directory containing all files
+  let root = path.dirname(files[0]);
+  while (root !== path.dirname(root) && !files.every(file => file.startsWith(root + path.sep))) {
+    root = path.dirname(root);
+  }
+  return { root, files: files.map(file => toPosix(path.relative(root, file))) };
+}
+
+// Minimal static file server for the root directory, on a free local port
+function startStaticServer(root, port = 0) {
+  const server = http.createServer((req, res) => {
+    let file;
+    try {
+      file = path.join(root, decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+    } catch (error) {
+      // Malformed percent-encoding
+      res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Bad request');
+      return;
+    }
+    if (path.relative(root, file).startsWith('..')) {
+      res.writeHead(403).end();
+      return;
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+      file = path.join(file, 'index.html');
+    }
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+      return;
+    }
+    const stream = fs.createReadStream(file);
+    stream.on('open', () => {
+      res.writeHead(200, { 'Content-Type': contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+      stream.pipe(res);
+    });
+    // Removed or unreadable since the checks above
+    stream.on('error', () => {
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        res.writeHead(500, { 'Content-Type': 'text/plain' }).end('Could not read file');
+      }
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Root-relative URLs and ES modules do not work over file://
+function needsServer(file) {
+  const html = fs.readFileSync(file, 'utf8');
+  return /\s(?:src|href)\s*=\s*["']?\/(?!\/)|type\s*=\s*["']?module/i.test(html);
+}
+
+// Serve or open the static files and return one scenario per file. Folders
+// are always served; single files open over file:// unless they need a
+// server. "server" forces either.
+async function openStaticSite(site) {
+  const { root, files } = findStaticFiles(site);
+  if (files.length === 0) {
+    throw new Error(`No HTML files matching ${[].concat(site.include).join(', ')} in ${root}`);
+  }
+
+  const useServer = site.server ?? (Boolean(site.dir) || files.some(file => needsServer(path.join(root, file))));
+  const server = useServer ? await startStaticServer(root, site.port) : null;
+  const origin = server ? `http://127.0.0.1:${server.address().port}` : null;
+  log.info(`📂 Static files: ${files.length} from ${root} (${origin ? `served at ${origin}` : 'file://'})`);
+
+  return {
+    origin,
+    scenarios: files.map(file => ({
+      name: file,
+      url: origin
+        ? `${origin}/${file.split('/').map(encodeURIComponent).join('/')}`
+        : pathToFileURL(path.join(root, file)).href,
+    })),
+    close: () => (server ? new Promise(resolve => server.close(resolve)) : Promise.resolve()),
+  };
+}
+
+// Run the configured tests across browsers, scenarios and viewports and write
+// the run-level reports. Throws on invalid configuration; returns the results
+// and the exit code instead of exiting. Progress goes to options.logger, or
+// the console.
+async function run(options) {
+  if (options.logger) {
+    const { logger, ...rest } = options;
+    return withLogger(logger, () => run(rest));
+  }
+
+  // Static mode: each local HTML file becomes a scenario, for the whole run
+  const site = resolveStaticSite(options);
+  if (site) {
+    const { static: staticConfig, staticDir, staticFiles, ...rest } = options;
+    const staticSite = await openStaticSite(site);
+    try {
+      return await run({
+        ...rest,
+        baseUrl: rest.baseUrl || rest.url ? rest.baseUrl : staticSite.origin,
+        scenarios: [...(rest.scenarios || []), ...staticSite.scenarios],
+      });
+    } finally {
+      await staticSite.close();
+    }
+  }
+  const config = { ...defaultConfig, ...options };
+
+  // Validate configuration
+  if (!config.url && !config.baseUrl && !config.scenarios) {
+    throw new Error('--url, --dir, --file or --config with scenarios is required');
+  }
+
+  if ((config.crawlEnabled || config.crawl) && !config.url && !config.baseUrl) {
+    throw new Error('--crawl requires --url or baseUrl to start from');
+  }
+
+  // Load baseline before launching the browser so a bad file fails fast
+  let baseline = null;
+  if (config.updateBaseline && !config.baseline) {
+    config.baseline = './a11y-baseline.json';
+  }
+  if (config.baseline) {
+    try {
+      baseline = loadBaseline(config.baseline);
+    } catch (error) {
+      throw new Error(`Failed to load baseline: ${error.message}`);
+    }
+    if (!baseline && !config.updateBaseline) {
+      log.warn(`⚠️  Baseline file not found: ${config.baseline} (all violations will be treated as new)`);
+      log.warn('   Run with --update-baseline to create it');
+    }
+  }
+
+  // Resolve the browser matrix (--browser a,b or "browsers" in the config)
+  const browsers = resolveBrowsers(config);
+  const unknownBrowsers = browsers.filter(name => !browserTypes[name]);
+  if (unknownBrowsers.length > 0) {
+    throw new Error(`unknown browser(s): ${unknownBrowsers.join(', ')} (use chromium, firefox or webkit)`);
+  }
+
+  const issueExports = resolveIssueFormats(config);
+  const conformanceScope = resolveConformance(config);
+
+  // Import and validate plugin modules once for every scenario, viewport and browser
+  config.resolvedPlugins = await resolvePlugins(config);
+
+  // Validate "ignore" suppressions (global and per scenario)
+  const ignoreLists = [config.ignore || [], ...(config.scenarios || []).map(s => s.ignore || [])];
+  const suppressionCheck = ignoreLists
+    .map(list => checkSuppressions(list))
+    .reduce((all, check) => ({
+      errors: [...all.errors, ...check.errors],
+      expired: [...all.expired, ...check.expired],
+    }), { errors: [], expired: [] });
+  if (suppressionCheck.errors.length > 0) {
+    throw new Error(['Invalid "ignore" entries:', ...suppressionCheck.errors.map(error => `   - ${error}`)].join('\n'));
+  }
+  if (suppressionCheck.expired.length > 0) {
+    const expired = suppressionCheck.expired.map(message => `   - ${message}`);
+    if (config.strictIgnore) {
+      throw new Error(['Expired "ignore" suppressions (matching violations count again):', ...expired].join('\n'));
+    }
+    log.warn('⚠️  Expired "ignore" suppressions (matching violations count again):');
+    expired.forEach(line => log.warn(line));
+  }
+
+  // Validate auth, overlay dismissal, readiness, viewport/device and reporter settings before launching anything
+  authStrategies(config);
+  [null, ...(config.scenarios || [])].forEach(scenario => resolveDismissal(config, scenario));
+  [null, ...(config.scenarios || [])].forEach(scenario => resolveReadiness(config, scenario));
+  [null, ...(config.scenarios || [])].forEach(scenario => viewportsFor(scenario, config));
+  resolveReporters(config);
+
+  log.info('🚀 Starting Accessibility Tests');
+  log.info(`   Browser${browsers.length > 1 ? 's' : ''}: ${browsers.join(', ')}`);
+  log.info(`   Headless: ${config.headless}`);
+  if (config.viewports && config.viewports.length > 0) {
+    log.info(`   Viewports: ${viewportsFor(null, config).map(v => v.name).join(', ')}`);
+  }
+  log.info(`   Output: ${config.outputDir}`);
+  if (config.exclude.length > 0) {
+    log.info(`   Excluding: ${config.exclude.join(', ')}`);
+  }
+  if (config.baseline) {
+    log.info(`   Baseline: ${config.baseline}${config.updateBaseline ? ' (updating)' : ''}`);
+  }
+
+  // Scenarios are resolved (and crawled) once, in the first browser
+  let results = [];
+  const state = { scenarios: null };
+  for (const browserName of browsers) {
+    if (browsers.length > 1) {
+      log.info(`\n🌐 Browser: ${browserName}`);
+    }
+    const browserResults = await runBrowser(browserName, { ...config, browser: browserName }, state);
+    results = results.concat(browserResults);
+  }
+
+  // Print summary
+  log.info('\n' + '='.repeat(60));
+  log.info('📊 Test Summary');
+  log.info('='.repeat(60));
+
+  const totals = summarizeResults(results);
+  const totalFailing = totals.failingViolations;
+
+  log.info(`Total Tests: ${totals.tests}`);
+  log.info(`Passed: ${totals.passed} ✅`);
+  log.info(`Failed: ${totals.failed} ❌`);
+  log.info(`\nViolations by Severity:`);
+  log.info(`  🔴 Critical: ${totals.critical}`);
+  log.info(`  🟠 Serious: ${totals.serious}`);
+  log.info(`  🟡 Moderate: ${totals.moderate}`);
+  log.info(`  ⚪ Minor: ${totals.minor}`);
+  log.info(`  📊 Total: ${totals.violations}`);
+  log.info(`\nFail Threshold: ${config.failOn} and above`);
+  log.info(`Violations Meeting Threshold: ${totalFailing}`);
+  log.info('='.repeat(60));
+
+  // Run-level index.html and summary.json tying all page reports together
+  try {
+    const { indexPath, summaryPath } = writeRunSummary(results, config, browsers);
+    log.info(`\n📑 Run index: ${indexPath}`);
+    log.info(`📑 Run summary: ${summaryPath}`);
+  } catch (error) {
+    log.warn(`\n⚠️  Could not write run summary: ${error.message}`);
+  }
+
+  // Append this run to the history used by the "trend" command
+  const historyFile = resolveHistoryPath(config);
+  if (historyFile) {
+    try {
+      appendHistory(historyFile, buildHistoryEntry(results, config, browsers));
+      log.info(`📈 History: ${historyFile}`);
+    } catch (error) {
+      log.warn(`⚠️  Could not append to history: ${error.message}`);
+    }
+  }
+
+  if (config.junit) {
+    const junitPath = path.resolve(config.junit);
+    fs.mkdirSync(path.dirname(junitPath), { recursive: true });
+    fs.writeFileSync(junitPath, generateJUnitReport(results, config), 'utf8');
+    log.info(`📑 JUnit report: ${junitPath}`);
+  }
+
+  if (config.sarif) {
+    const sarifPath = path.resolve(config.sarif);
+    fs.mkdirSync(path.dirname(sarifPath), { recursive: true });
+    fs.writeFileSync(sarifPath, JSON.stringify(generateSARIFReport(results, config), null, 2), 'utf8');
+    log.info(`📑 SARIF report: ${sarifPath}`);
+  }
+
+  if (issueExports.length > 0) {
+    writeIssueExports(results, config).forEach(({ file, issues }) => {
+      log.info(`🎫 Issue export: ${file} (${issues} ticket(s))`);
+    });
+  }
+
+  if (conformanceScope) {
+    const { htmlPath, markdownPath, conformance } = writeConformanceReport(results, config, conformanceScope);
+    const { counts } = conformance;
+    log.info(`📋 Conformance report (WCAG ${conformanceScope.version} ${conformanceScope.level}): ${htmlPath}`);
+    log.info(`   ${counts.supports} supported, ${counts.partial} partially supported, ${counts.fails} not supported, ${counts.review} for manual review, ${counts.notEvaluated} not evaluated`);
+    log.info(`📋 Conformance report (Markdown): ${markdownPath}`);
+  }
+
+  if (browsers.length > 1) {
+    printBrowserComparison(results, browsers);
+  }
+
+  // Rewrite the baseline and stop; known violations never fail this run
+  if (config.updateBaseline) {
+    const baselinePath = saveBaseline(config.baseline, results, baseline);
+    log.info(`\n📌 Baseline updated: ${baselinePath}`);
+    return { results, totals, exitCode: 0 };
+  }
+
+  // With a baseline, only violations not recorded in it count towards failure
+  if (config.baseline) {
+    const comparison = compareWithBaseline(baseline, results, config.failOn);
+    printBaselineSummary(comparison, config.failOn);
+    const newFailing = comparison.reduce((sum, c) => sum + c.failingNew, 0);
+    if (newFailing > 0) {
+      log.info(`\n❌ Tests failed: ${newFailing} new violations at ${config.failOn} level or above`);
+      return { results, totals, comparison, exitCode: 1 };
+    }
+    log.info('\n✅ No new violations compared to baseline!');
+    return { results, totals, comparison, exitCode: 0 };
+  }
+
+  // Exit with error code if any violations meet the fail threshold
+  if (totalFailing > 0) {
+    log.info(`\n❌ Tests failed: ${totalFailing} violations at ${config.failOn} level or above`);
+    return { results, totals, exitCode: 1 };
+  }
+  log.info('\n✅ All tests passed!');
+  return { results, totals, exitCode: 0 };
+}
+
+// Main execution: parse arguments, load the config file and run
+async function main() {
+  let cli;
+  try {
+    cli = parseArgs();
+  } catch (error) {
+    log.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Layer defaults, config file, A11Y_* environment variables and CLI options
+  let config;
+  try {
+    config = await loadConfig({ configFile: cli.configFile, cli });
+  } catch (error) {
+    log.error(`❌ Failed to load config: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (config.command && !['trend', 'compare'].includes(config.command)) {
+    log.error(`❌ Error: Unknown command "${config.command}"`);
+    printHelp();
+    process.exit(1);
+  }
+
+  if (!config.command && !config.url && !config.baseUrl && !config.scenarios && !resolveStaticSite(config)) {
+    log.error('❌ Error: --url, --dir, --file or --config with scenarios is required');
+    printHelp();
+    process.exit(1);
+  }
+
+  let logger;
+  try {
+    logger = createLogger({ level: config.logLevel || 'info', format: config.logFormat || 'text' });
+  } catch (error) {
+    log.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    const [before, after] = config.commandArgs || [];
+    const { exitCode } = config.command === 'trend'
+      ? await runTrend({ ...config, logger })
+      : config.command === 'compare'
+        ? await runCompare({ ...config, before, after, logger })
+        : await run({ ...config, logger });
+    process.exit(exitCode);
+  } catch (error) {
+    logger.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 // Run if executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch(error => {
-    console.error('Fatal error:', error);
+    log.error('Fatal error:', error);
     process.exit(1);
   });
 }
 
-export { testUrl, generateHTMLReport, navigateWithPassword };
+export {
+  scan,
+  run,
+  runTrend,
+  runCompare,
+  writeReports,
+  createLogger,
+  loadConfig,
+  testUrl,
+  generateHTMLReport,
+  navigateWithPassword,
+  a11yMatchers,
+  a11yTestCases,
+};